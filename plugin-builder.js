@@ -3,20 +3,100 @@
 /**
  * Node.js script to build specific User Registration plugins and create zip files
  * Usage: node plugin-builder.js [options]
+ *        node plugin-builder.js verify [dir]
+ *        node plugin-builder.js validate-config [file]
  */
 
-const { execSync, spawn } = require("child_process");
+const { execSync, execFileSync, spawn } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { createReadStream } = require("fs");
+const crypto = require("crypto");
+const zlib = require("zlib");
 
 // Configuration
 const CONFIG = {
-  pluginsPath: "..", // Parent directory (plugins folder) - Change this to absolute path if needed
-  pluginPattern: /^user-registration-/,
+  pluginsPath: "..", // Parent directory (plugins folder), or a list of directories - Change this to absolute path if needed
+  // How plugin folders are found: "pattern" matches folder names against
+  // pluginPatterns, "header" takes every folder with a "Plugin Name:" header
+  discoveryMode: "pattern",
+  pluginPatterns: ["user-registration-*"], // Globs for plugin folder names
   outputDir: "build-output",
   pluginListFile: "plugin-list.json",
+  schemaFile: "plugin-list.schema.json", // Config schema, next to this script
   resultFile: "build-results.md",
+  checksumFile: "checksums.json", // Also written as SHA256SUMS (inside outputDir)
+  releaseNotesFile: "release-notes.md", // Also written as .json (inside outputDir)
+  logsDir: "logs", // Per-step logs, as <outputDir>/logs/<plugin>/<step>.log
+  logTailLines: 20, // Lines of a failed step's log shown in the report
+  concurrency: 1, // Number of plugins built at the same time
+  color: !("NO_COLOR" in process.env), // Disabled with --no-color or NO_COLOR
+  onlySteps: null, // Step names from --only-steps
+  skipSteps: [], // Step names from --skip-steps
+  pluginOverrides: {}, // Per-plugin build step overrides, keyed by plugin slug
+  // Profile selected with --profile, with everything it inherits:
+  // { name, chain, description, plugins, ignore, buildSettings, steps }
+  profile: null,
+  buildCacheFile: ".build-cache.json", // Fingerprints of the last good builds (inside outputDir)
+  force: false, // Rebuild plugins even when they are up to date
+  buildStateFile: ".build-state.json", // Progress of the current run (inside outputDir)
+  resume: false, // Continue the run recorded in buildStateFile
+  // Directories left out of the plugin fingerprint (dependencies are covered by lockfiles)
+  fingerprintExclude: ["node_modules", "vendor", ".git"],
+  // "grunt" moves the zip created by `grunt zip`, "native" writes it directly
+  packaging: {
+    method: "grunt",
+    exclude: [],
+  },
+  // Version/changelog consistency check in Phase 1: "warn", "block" or "off"
+  releaseCheck: "warn",
+  // Named PHP binaries, e.g. { "php74": "/usr/bin/php7.4" }. Each plugin is
+  // built with the lowest PHP version that satisfies its composer.json.
+  // composer is the Composer script run with them (default: found on PATH)
+  php: {
+    binaries: {},
+    composer: null,
+  },
+  // Node/npm engine check in Phase 1 (package.json engines, .nvmrc,
+  // .node-version): "warn", "block" or "off"
+  engineCheck: "warn",
+  // Git checks in Phase 1 for plugins that are git repositories. Each check
+  // is "block" (plugin is incompatible), "warn" or "ignore".
+  gitChecks: {
+    releaseBranch: null, // Branch releases are built from, e.g. "master"
+    dirty: "warn", // Modified tracked files
+    untracked: "warn", // Untracked files
+    wrongBranch: "warn", // Not on releaseBranch
+    behind: "warn", // HEAD is missing commits of the local releaseBranch
+  },
+  // Annotated git tags for plugins that built successfully (opt-in).
+  // {version} and {slug} are replaced in format and message.
+  tagging: {
+    enabled: false,
+    format: "v{version}",
+    message: "Release {version}",
+  },
+  // Checks run on every zip before it is shipped
+  zipChecks: {
+    // "warn" lists violations as warnings, "fail" fails the plugin, "off" skips the checks
+    onViolation: "warn",
+    // Paths that must not be in the zip (.distignore syntax, relative to the
+    // plugin folder inside the zip)
+    forbidden: ["node_modules/", ".git/", ".github/", "/tests/", "*.map"],
+    required: [], // Paths that must be in the zip, e.g. "vendor/autoload.php"
+    maxSizeMB: 0, // Largest allowed zip size, 0 for no limit
+  },
+  // Used by native packaging when a plugin has no .distignore
+  defaultPackageExclude: [
+    ".git",
+    ".github",
+    ".distignore",
+    ".gitignore",
+    ".DS_Store",
+    "node_modules",
+    "*.zip",
+  ],
   // Default commands (used if not specified in config)
   defaultCommands: {
     composer: "composer install",
@@ -43,8 +123,43 @@ const colors = {
   cyan: "\x1b[36m",
 };
 
-function colorLog(message, color = "reset") {
-  console.log(`${colors[color]}${message}${colors.reset}`);
+function colorLog(message, color = "reset", prefix = "") {
+  const text = prefix
+    ? message
+        .split("\n")
+        .map((line) => (line ? `${prefix}${line}` : line))
+        .join("\n")
+    : message;
+
+  if (!CONFIG.color) {
+    console.log(text);
+    return;
+  }
+  console.log(`${colors[color]}${text}${colors.reset}`);
+}
+
+// Writes child process output line by line with a prefix, so output from
+// plugins built in parallel stays readable when interleaved
+function createLineWriter(stream, prefix = "") {
+  if (!prefix) {
+    return { write: (text) => stream.write(text), flush: () => {} };
+  }
+
+  let pending = "";
+  return {
+    write(text) {
+      pending += text;
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach((line) => stream.write(`${prefix}${line}\n`));
+    },
+    flush() {
+      if (pending) {
+        stream.write(`${prefix}${pending}\n`);
+        pending = "";
+      }
+    },
+  };
 }
 
 function execCommand(command, cwd, description) {
@@ -63,41 +178,192 @@ function execCommand(command, cwd, description) {
   }
 }
 
-function execCommandRealtime(command, cwd, description) {
+// Process groups of running commands that have a timeout, so they can be
+// killed as a whole on timeout or when the builder is interrupted
+const activeProcessGroups = new Set();
+
+function killProcessTree(child) {
+  if (process.platform === "win32") {
+    spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+      stdio: "ignore",
+    });
+    return;
+  }
+
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // Process group already gone
+    }
+  };
+  signalGroup("SIGTERM");
+  setTimeout(() => signalGroup("SIGKILL"), 5000).unref();
+}
+
+process.on("SIGINT", () => {
+  activeProcessGroups.forEach((child) => killProcessTree(child));
+  process.exit(130);
+});
+
+// Step log file: every output line is written with a timestamp, and stderr
+// lines are marked, so the combined output keeps its original order
+function createStepLog(logPath) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  const fd = fs.openSync(logPath, "w");
+  const pending = { stdout: "", stderr: "" };
+  const writeLine = (line) =>
+    fs.writeSync(fd, `[${new Date().toISOString()}] ${line}\n`);
+
+  return {
+    path: logPath,
+    write(streamName, text) {
+      const lines = (pending[streamName] + text).split(/\r?\n/);
+      pending[streamName] = lines.pop();
+      lines.forEach((line) =>
+        writeLine(streamName === "stderr" ? `[stderr] ${line}` : line)
+      );
+    },
+    flush() {
+      Object.keys(pending).forEach((streamName) => {
+        if (pending[streamName]) this.write(streamName, "\n");
+      });
+    },
+    note(message) {
+      this.flush();
+      writeLine(`=== ${message} ===`);
+    },
+    close() {
+      this.flush();
+      fs.closeSync(fd);
+    },
+  };
+}
+
+// Last `count` lines of a log file, for failed steps in the report,
+// without ANSI color codes
+function readLogTail(logPath, count) {
+  try {
+    const lines = fs
+      .readFileSync(logPath, "utf8")
+      .replace(/\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07]*\x07/g, "")
+      .trimEnd()
+      .split("\n")
+      .filter((line) => !/^\[[^\]]+\] === /.test(line)); // Attempt markers
+    return lines.slice(-count);
+  } catch (error) {
+    return [];
+  }
+}
+
+function getStepLogPath(pluginName, stepKey) {
+  return path.resolve(
+    CONFIG.outputDir,
+    CONFIG.logsDir,
+    pluginName,
+    `${stepKey}.log`
+  );
+}
+
+function execCommandRealtime(command, cwd, description, options = {}) {
+  const prefix = options.prefix || "";
+  const log = options.log || null; // Step log from createStepLog
+  const timeout = options.timeout || 0; // Seconds, 0 = no timeout
+
   return new Promise((resolve) => {
     const startTime = Date.now();
-    colorLog(`  ${description}...`, "yellow");
-
+    colorLog(`  ${description}...`, "yellow", prefix);
+
+    // Commands with a timeout get their own process group (POSIX) so the
+    // whole tree can be killed, not just the shell
+    const ownProcessGroup = timeout > 0 && process.platform !== "win32";
+    // Parallel builds can't share the terminal's stdin, and a prompt in
+    // one of them would hang the pool, so their commands get no input
+    const inheritStdin = !ownProcessGroup && CONFIG.concurrency === 1;
     const child = spawn(command, [], {
       cwd,
       shell: true,
-      stdio: ["inherit", "pipe", "pipe"],
+      detached: ownProcessGroup,
+      stdio: [inheritStdin ? "inherit" : "ignore", "pipe", "pipe"],
     });
 
+    let timedOut = false;
+    let timer = null;
+    if (timeout > 0) {
+      if (ownProcessGroup) activeProcessGroups.add(child);
+      timer = setTimeout(() => {
+        timedOut = true;
+        colorLog(
+          `  ⏱️  ${description} exceeded its ${timeout}s timeout, killing it...`,
+          "red",
+          prefix
+        );
+        killProcessTree(child);
+      }, timeout * 1000);
+    }
+
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      activeProcessGroups.delete(child);
+      resolve(result);
+    };
+
     let output = "";
     let errorOutput = "";
+    const stdoutWriter = createLineWriter(process.stdout, prefix);
+    const stderrWriter = createLineWriter(process.stderr, prefix);
 
     child.stdout.on("data", (data) => {
       const text = data.toString();
       output += text;
-      process.stdout.write(text);
+      stdoutWriter.write(text);
+      if (log) log.write("stdout", text);
     });
 
     child.stderr.on("data", (data) => {
       const text = data.toString();
       errorOutput += text;
-      process.stderr.write(text);
+      stderrWriter.write(text);
+      if (log) log.write("stderr", text);
     });
 
     child.on("close", (code) => {
       const endTime = Date.now();
       const duration = Math.round((endTime - startTime) / 1000);
+      stdoutWriter.flush();
+      stderrWriter.flush();
 
-      if (code === 0) {
-        colorLog(`  ✅ ${description} completed (${duration}s)`, "green");
-        resolve({
+      if (code === 0 && !timedOut) {
+        colorLog(
+          `  ✅ ${description} completed (${duration}s)`,
+          "green",
+          prefix
+        );
+        settle({
           success: true,
           error: null,
+          exitCode: code,
+          timedOut,
+          output,
+          errorOutput,
+          startTime: new Date(startTime).toISOString(),
+          endTime: new Date(endTime).toISOString(),
+          duration: duration,
+        });
+      } else if (timedOut) {
+        colorLog(
+          `  ❌ ${description} timed out after ${timeout}s (${duration}s)`,
+          "red",
+          prefix
+        );
+        settle({
+          success: false,
+          error: `Timed out after ${timeout}s`,
+          exitCode: code,
+          timedOut,
           output,
           errorOutput,
           startTime: new Date(startTime).toISOString(),
@@ -107,11 +373,14 @@ function execCommandRealtime(command, cwd, description) {
       } else {
         colorLog(
           `  ❌ ${description} failed with exit code ${code} (${duration}s)`,
-          "red"
+          "red",
+          prefix
         );
-        resolve({
+        settle({
           success: false,
           error: `Exit code ${code}`,
+          exitCode: code,
+          timedOut,
           output,
           errorOutput,
           startTime: new Date(startTime).toISOString(),
@@ -124,13 +393,18 @@ function execCommandRealtime(command, cwd, description) {
     child.on("error", (error) => {
       const endTime = Date.now();
       const duration = Math.round((endTime - startTime) / 1000);
+      stdoutWriter.flush();
+      stderrWriter.flush();
       colorLog(
         `  ❌ ${description} failed: ${error.message} (${duration}s)`,
-        "red"
+        "red",
+        prefix
       );
-      resolve({
+      settle({
         success: false,
         error: error.message,
+        exitCode: null,
+        timedOut,
         output,
         errorOutput,
         startTime: new Date(startTime).toISOString(),
@@ -141,6 +415,145 @@ function execCommandRealtime(command, cwd, description) {
   });
 }
 
+// Runs a build step, retrying it up to step.retries times. Every attempt's
+// exit code, duration and output is kept in `attempts`.
+async function runBuildStep(step, cwd, prefix = "", logPath = null) {
+  const maxAttempts = step.retries + 1;
+  const attempts = [];
+  let result;
+
+  let log = null;
+  if (logPath) {
+    try {
+      log = createStepLog(logPath);
+      log.note(`${step.desc}: ${step.cmd} (in ${cwd})`);
+    } catch (error) {
+      colorLog(
+        `  ⚠️  Warning: Could not write log file ${logPath}: ${error.message}`,
+        "yellow",
+        prefix
+      );
+    }
+  }
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const description =
+      maxAttempts > 1
+        ? `${step.desc} (attempt ${attempt}/${maxAttempts})`
+        : step.desc;
+    if (log) log.note(`Attempt ${attempt}/${maxAttempts} started`);
+    result = await execCommandRealtime(step.cmd, cwd, description, {
+      prefix,
+      timeout: step.timeout,
+      log,
+    });
+    if (log) {
+      log.note(
+        `Attempt ${attempt}/${maxAttempts}: ${
+          result.success ? "Exit code 0" : result.error
+        } (${result.duration}s)`
+      );
+    }
+    attempts.push({
+      attempt,
+      success: result.success,
+      error: result.error,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      output: result.output,
+      errorOutput: result.errorOutput,
+      startTime: result.startTime,
+      endTime: result.endTime,
+      duration: result.duration,
+    });
+
+    if (result.success) break;
+
+    if (attempt < maxAttempts) {
+      colorLog(
+        `  🔁 Retrying ${step.desc} in ${step.retryDelay}s...`,
+        "yellow",
+        prefix
+      );
+      await new Promise((resolve) => setTimeout(resolve, step.retryDelay * 1000));
+    }
+  }
+
+  if (log) log.close();
+
+  return {
+    ...result,
+    attempts,
+    logFile: log ? log.path : null,
+    startTime: attempts[0].startTime,
+    duration: Math.round(
+      (new Date(result.endTime) - new Date(attempts[0].startTime)) / 1000
+    ),
+  };
+}
+
+// Runs worker over items with at most `limit` in flight, keeping result order
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+// Like runWithConcurrency, but an item only starts once the items it
+// depends on have finished. The worker gets their results.
+async function runWithDependencies(items, limit, worker, getDependencies) {
+  const results = new Array(items.length);
+  const dependencies = items.map((item) =>
+    getDependencies(item)
+      .map((dependency) => items.indexOf(dependency))
+      .filter((index) => index !== -1)
+  );
+  const states = new Array(items.length).fill("waiting");
+  let running = 0;
+
+  return new Promise((resolve, reject) => {
+    const startReady = () => {
+      for (let index = 0; index < items.length && running < limit; index++) {
+        if (
+          states[index] !== "waiting" ||
+          !dependencies[index].every((dep) => states[dep] === "done")
+        ) {
+          continue;
+        }
+        states[index] = "running";
+        running++;
+        Promise.resolve()
+          .then(() =>
+            worker(
+              items[index],
+              dependencies[index].map((dep) => results[dep])
+            )
+          )
+          .then((result) => {
+            results[index] = result;
+            states[index] = "done";
+            running--;
+            startReady();
+          }, reject);
+      }
+      // Nothing running and nothing startable: every item is done (cycles
+      // are rejected before building)
+      if (running === 0) resolve(results);
+    };
+    startReady();
+  });
+}
+
 function checkCommandExists(command) {
   try {
     execSync(command, { stdio: "pipe" });
@@ -150,9 +563,12 @@ function checkCommandExists(command) {
   }
 }
 
-function getCurrentPHPVersion() {
+function getCurrentPHPVersion(binary = "php") {
   try {
-    const output = execSync("php --version", { encoding: "utf8" });
+    const output = execSync(`"${binary}" --version`, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
     const match = output.match(/PHP (\d+\.\d+\.\d+)/);
     return match ? match[1] : null;
   } catch (error) {
@@ -160,221 +576,2482 @@ function getCurrentPHPVersion() {
   }
 }
 
-function parseVersionRequirement(requirement) {
-  // Parse composer.json require.php format like ">=7.4" or "^8.0"
-  if (!requirement) return null;
+// The PHP binaries Phase 1 can choose from: the php on the PATH plus the
+// named ones in buildSettings.php.binaries, with their detected versions
+function detectPHPBinaries() {
+  const binaries = [
+    {
+      name: "php",
+      path: "php",
+      version: getCurrentPHPVersion(),
+      isDefault: true,
+    },
+  ];
+  for (const [name, binary] of Object.entries(CONFIG.php.binaries)) {
+    binaries.push({
+      name,
+      path: binary.php,
+      composer: binary.composer,
+      version: getCurrentPHPVersion(binary.php),
+    });
+  }
+  return binaries;
+}
 
-  const cleanReq = requirement.replace(/[^\d\.\>\<\=\^\~\s]/g, "");
+// Lowest PHP version that satisfies the constraint. The php on the PATH
+// wins a tie so that commands stay unchanged
+function selectPHPBinary(binaries, constraint) {
+  const matching = binaries.filter((binary) =>
+    satisfiesConstraint(binary.version, constraint)
+  );
+  matching.sort(
+    (a, b) =>
+      compareVersions(parseVersion(a.version), parseVersion(b.version)) ||
+      Number(Boolean(b.isDefault)) - Number(Boolean(a.isDefault))
+  );
+  return matching[0] || null;
+}
 
-  // Handle different formats
-  if (cleanReq.includes(">=")) {
-    return cleanReq.replace(">=", "").trim();
-  } else if (cleanReq.includes("^")) {
-    const version = cleanReq.replace("^", "").trim();
-    const parts = version.split(".");
-    if (parts.length >= 2) {
-      return `${parts[0]}.${parts[1]}.0`;
-    }
-    return version;
-  } else if (cleanReq.includes("~")) {
-    const version = cleanReq.replace("~", "").trim();
-    const parts = version.split(".");
-    if (parts.length >= 2) {
-      return `${parts[0]}.${parts[1]}.0`;
+// Composer has to be started as a script to run it with another PHP binary
+function findComposerScript() {
+  const dirs = (process.env.PATH || "").split(path.delimiter).filter(Boolean);
+  for (const name of ["composer.phar", "composer"]) {
+    for (const dir of dirs) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
     }
-    return version;
   }
+  return null;
+}
 
-  return cleanReq.trim();
+// composer or php at the start of a command: the whole step, or after
+// &&, ||, ;, | or (, optionally behind VAR=value assignments, as in
+// "cd lib && COMPOSER_MEMORY_LIMIT=-1 composer install"
+const PHP_COMMAND_PATTERN =
+  /(^|&&|\|\||[;|(])(\s*(?:[A-Za-z_][A-Za-z0-9_]*=\S*\s+)*)(composer|php)(?=\s|$)/g;
+
+// Runs a plugin's composer and php commands with the PHP binary Phase 1
+// picked for it
+function applyPHPBinary(command, php) {
+  if (!php || php.isDefault) return command;
+  return command.replace(
+    PHP_COMMAND_PATTERN,
+    (match, separator, assignments, tool) =>
+      `${separator}${assignments}${
+        tool === "composer" ? `"${php.path}" "${php.composer}"` : `"${php.path}"`
+      }`
+  );
 }
 
-function checkPHPVersionCompatibility(phpVersion, requiredVersion) {
-  if (!phpVersion || !requiredVersion) return true; // Skip if can't determine
+// composer that applyPHPBinary left alone (e.g. after xargs or env) still
+// runs with the php on the PATH. php alone is too often an argument, such
+// as a grunt task name, to be flagged
+function mentionsPathPHP(command) {
+  return /(?:^|[\s;&|(])composer(?=\s|$)/.test(
+    command.replace(/"[^"]*"|'[^']*'/g, '""')
+  );
+}
 
-  const current = phpVersion.split(".").map(Number);
-  const required = requiredVersion.split(".").map(Number);
+// Version constraints. Understands Composer syntax ("composer" flavor):
+// OR groups (|| or |), AND ranges (comma or space), ^, ~, wildcards,
+// hyphen ranges, !=, and stability suffixes like -RC1 or @dev. The "npm"
+// flavor reads the same syntax with semver rules for partial versions
+// and tilde ranges.
+const STABILITIES = { dev: 0, alpha: 1, beta: 2, RC: 3, stable: 4 };
+const STABILITY_ALIASES = {
+  dev: "dev",
+  a: "alpha",
+  alpha: "alpha",
+  b: "beta",
+  beta: "beta",
+  rc: "RC",
+  stable: "stable",
+  patch: "stable",
+  pl: "stable",
+  p: "stable",
+};
 
-  // Compare major.minor.patch
-  for (let i = 0; i < Math.max(current.length, required.length); i++) {
-    const curr = current[i] || 0;
-    const req = required[i] || 0;
+// Parses "8.1", "v7.4.3" or "8.0.0-RC1" into comparable parts. precision
+// is the number of numeric parts actually written
+function parseVersion(version) {
+  const match = String(version)
+    .trim()
+    .match(
+      /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:[-.]?(dev|alpha|beta|rc|stable|patch|pl|a|b|p)[.-]?(\d+)?)?(?:\+[0-9A-Za-z.-]*)?$/i
+    );
+  if (!match) return null;
 
-    if (curr > req) return true;
-    if (curr < req) return false;
-  }
+  const numbers = match.slice(1, 5);
+  const stability = match[5]
+    ? STABILITY_ALIASES[match[5].toLowerCase()]
+    : "stable";
 
-  return true; // Equal versions
+  return {
+    parts: numbers.map((part) => Number(part || 0)),
+    precision: numbers.filter((part) => part !== undefined).length,
+    stability,
+    stabilityNumber: Number(match[6] || 0),
+  };
 }
 
-// Phase 1: Command Validation
-async function validateCommands(plugins) {
-  colorLog("\n🔍 PHASE 1: Command Validation", "blue");
-  colorLog("================================", "blue");
+function compareVersions(a, b) {
+  for (let i = 0; i < 4; i++) {
+    if (a.parts[i] !== b.parts[i]) return a.parts[i] < b.parts[i] ? -1 : 1;
+  }
+  const stabilityDiff = STABILITIES[a.stability] - STABILITIES[b.stability];
+  if (stabilityDiff !== 0) return stabilityDiff < 0 ? -1 : 1;
+  if (a.stabilityNumber !== b.stabilityNumber) {
+    return a.stabilityNumber < b.stabilityNumber ? -1 : 1;
+  }
+  return 0;
+}
 
-  const validationResults = {
-    globalCommands: {},
-    pluginCommands: {},
-    incompatiblePlugins: [],
+// Lowest version starting with parts[0..index] bumped by one. Upper bounds
+// use the dev stability so that 8.0.0-RC1 is not below "<8.0"
+function bumpVersion(version, index) {
+  const parts = version.parts.map((part, i) =>
+    i < index ? part : i === index ? part + 1 : 0
+  );
+  return {
+    parts,
+    precision: 3,
+    stability: "dev",
+    stabilityNumber: 0,
+    implied: true,
   };
+}
 
-  // Check global commands
-  colorLog("\n📋 Checking global commands...", "yellow");
-  for (const [cmdName, cmdCheck] of Object.entries(CONFIG.commandChecks)) {
-    const exists = checkCommandExists(cmdCheck);
-    validationResults.globalCommands[cmdName] = exists;
-    colorLog(
-      `  ${exists ? "✅" : "❌"} ${cmdName}: ${
-        exists ? "Available" : "Not found"
-      }`,
-      exists ? "green" : "red"
-    );
-  }
-
-  // Check PHP version
-  const currentPHPVersion = getCurrentPHPVersion();
-  validationResults.globalCommands.phpVersion = currentPHPVersion;
-  if (currentPHPVersion) {
-    colorLog(`  ✅ PHP: ${currentPHPVersion}`, "green");
-  } else {
-    colorLog(`  ❌ PHP: Not found or version detection failed`, "red");
-  }
+function lowerBoundVersion(version) {
+  return version.stability === "stable"
+    ? { ...version, stability: "dev", implied: true }
+    : version;
+}
 
-  // Check plugin-specific commands
-  colorLog("\n📋 Checking plugin-specific commands...", "yellow");
-  for (const plugin of plugins) {
-    const pluginPath = path.join(CONFIG.pluginsPath, plugin.name);
-    validationResults.pluginCommands[plugin.name] = {};
+function formatConstraintVersion(version) {
+  const parts = version.parts.slice(0, version.parts[3] ? 4 : 3).join(".");
+  if (version.implied || version.stability === "stable") return parts;
+  return `${parts}-${version.stability}${version.stabilityNumber || ""}`;
+}
 
-    colorLog(`\n  🔍 Checking ${plugin.name}:`, "cyan");
+// Turns one token (">=7.4", "^8.0", "7.4.*", "1.0 - 2.0") into comparators
+// that must all match
+function parseConstraintToken(token, flavor) {
+  const hyphen = token.match(/^(\S+) - (\S+)$/);
+  if (hyphen) {
+    const from = parseVersion(hyphen[1]);
+    const to = parseVersion(hyphen[2]);
+    if (!from || !to) throw new Error(`Invalid hyphen range "${token}"`);
+    // A partial upper bound covers the whole series: 1.0 - 2.1 allows 2.1.5
+    const upper =
+      to.precision < 3
+        ? { op: "<", version: bumpVersion(to, to.precision - 1) }
+        : { op: "<=", version: to };
+    return [{ op: ">=", version: lowerBoundVersion(from) }, upper];
+  }
 
-    // Check if package.json exists
-    const packageJsonPath = path.join(pluginPath, "package.json");
-    const hasPackageJson = fs.existsSync(packageJsonPath);
-    validationResults.pluginCommands[plugin.name].hasPackageJson =
-      hasPackageJson;
-    colorLog(
-      `    ${hasPackageJson ? "✅" : "❌"} package.json: ${
-        hasPackageJson ? "Found" : "Not found"
-      }`,
-      hasPackageJson ? "green" : "red"
-    );
+  // Stability flags only steer Composer's resolver, not the range itself
+  token = token.replace(/@(dev|alpha|beta|rc|stable)$/i, "");
+  if (/^(\*|x)?$/i.test(token)) return [];
 
-    // Check if composer.json exists and validate PHP version
-    const composerJsonPath = path.join(pluginPath, "composer.json");
-    const hasComposerJson = fs.existsSync(composerJsonPath);
-    validationResults.pluginCommands[plugin.name].hasComposerJson =
-      hasComposerJson;
-    colorLog(
-      `    ${hasComposerJson ? "✅" : "❌"} composer.json: ${
-        hasComposerJson ? "Found" : "Not found"
-      }`,
-      hasComposerJson ? "green" : "red"
-    );
+  const match = token.match(/^(>=|<=|<>|!=|==|=|>|<|\^|~>?)?v?(.*)$/);
+  const op = match[1] === "~>" ? "~" : match[1] || "";
+  let versionText = match[2];
 
-    let phpVersionCompatible = true;
-    if (hasComposerJson && currentPHPVersion) {
-      try {
-        const composerContent = fs.readFileSync(composerJsonPath, "utf8");
-        const composerJson = JSON.parse(composerContent);
+  // npm reads 14.x and 1.2.x.x as the partial versions 14 and 1.2, with
+  // any operator: >=14.x → >=14.0.0, <=14.x → <15.0.0, ^1.2.x → ^1.2
+  if (flavor === "npm") {
+    versionText = versionText.replace(/(?:\.(?:\*|x))+$/i, "");
+    if (/^(\*|x)?$/i.test(versionText)) return [];
+  }
 
-        // Check require.php, platform.php, and config.platform.php
-        const phpRequirement =
-          composerJson.require?.php ||
-          composerJson.platform?.php ||
-          composerJson.config?.platform?.php;
-        const requirementSource = composerJson.require?.php
-          ? "require"
-          : composerJson.platform?.php
-          ? "platform"
-          : composerJson.config?.platform?.php
-          ? "config.platform"
-          : "";
+  const wildcard = versionText.match(
+    /^(\d+)(?:\.(\d+))?(?:\.(\d+))?\.(?:\*|x)$/i
+  );
+  if (wildcard) {
+    if (op && op !== "=" && op !== "==") {
+      throw new Error(`Wildcards cannot be combined with "${op}" in "${token}"`);
+    }
+    const base = parseVersion(wildcard.slice(1).filter(Boolean).join("."));
+    return [
+      { op: ">=", version: lowerBoundVersion(base) },
+      { op: "<", version: bumpVersion(base, base.precision - 1) },
+    ];
+  }
 
-        if (phpRequirement) {
-          const requiredVersion = parseVersionRequirement(phpRequirement);
-          phpVersionCompatible = checkPHPVersionCompatibility(
-            currentPHPVersion,
-            requiredVersion
-          );
-          validationResults.pluginCommands[plugin.name].phpRequirement =
-            phpRequirement;
-          validationResults.pluginCommands[plugin.name].phpRequirementSource =
-            requirementSource;
-          validationResults.pluginCommands[plugin.name].phpVersionCompatible =
-            phpVersionCompatible;
+  const version = parseVersion(versionText);
+  if (!version) throw new Error(`Invalid version "${versionText}" in "${token}"`);
+  const { precision, parts } = version;
+
+  switch (op) {
+    case "^": {
+      // The first non-zero part is locked: ^7.4 → <8.0, ^0.3 → <0.4
+      let index = 0;
+      while (index < precision - 1 && parts[index] === 0) index++;
+      return [
+        { op: ">=", version: lowerBoundVersion(version) },
+        { op: "<", version: bumpVersion(version, index) },
+      ];
+    }
+    case "~": {
+      // Composer: ~1.2 → <2.0, ~1.2.3 → <1.3. npm: ~1.2 → <1.3
+      const index =
+        flavor === "npm"
+          ? Math.min(precision - 1, 1)
+          : Math.max(precision - 2, 0);
+      return [
+        { op: ">=", version: lowerBoundVersion(version) },
+        { op: "<", version: bumpVersion(version, index) },
+      ];
+    }
+    case "!=":
+    case "<>":
+      return [{ op: "!=", version }];
+    case ">=":
+    case "<":
+      return [{ op, version: lowerBoundVersion(version) }];
+    case ">":
+    case "<=":
+      // npm reads partial versions as the whole series: >1.2 means >=1.3
+      if (flavor === "npm" && precision < 3) {
+        const next = bumpVersion(version, precision - 1);
+        return [{ op: op === ">" ? ">=" : "<", version: next }];
+      }
+      return [{ op, version }];
+    default:
+      // npm reads a partial version as an x-range, Composer as exact
+      if (flavor === "npm" && precision < 3) {
+        return [
+          { op: ">=", version: lowerBoundVersion(version) },
+          { op: "<", version: bumpVersion(version, precision - 1) },
+        ];
+      }
+      return [{ op: "==", version }];
+  }
+}
 
-          colorLog(
-            `    ${
-              phpVersionCompatible ? "✅" : "❌"
-            } PHP requirement (${requirementSource}): ${phpRequirement} (current: ${currentPHPVersion})`,
-            phpVersionCompatible ? "green" : "red"
-          );
-        } else {
-          colorLog(
-            `    ⚠️  PHP requirement: Not specified in require or platform`,
-            "yellow"
-          );
-        }
-      } catch (error) {
-        colorLog(`    ❌ PHP requirement: Error reading composer.json`, "red");
-        phpVersionCompatible = false;
+// Parses a constraint into OR groups of AND comparators. Throws on syntax
+// it cannot understand so callers can report the constraint as invalid
+function parseVersionConstraint(constraint, flavor = "composer") {
+  const text = String(constraint || "").trim();
+  if (!text) throw new Error("Empty version constraint");
+
+  const groups = text.split(/\s*\|\|?\s*/).map((group) => {
+    // Glue operators to their version (">= 7.4") and keep hyphen ranges
+    // together before splitting the AND parts
+    const tokens = group
+      .replace(/(>=|<=|<>|!=|==|=|>|<|\^|~>?)\s+/g, "$1")
+      .split(/\s*,\s*|\s+/)
+      .filter(Boolean);
+    const merged = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i + 1] === "-" && tokens[i + 2]) {
+        merged.push(`${tokens[i]} - ${tokens[i + 2]}`);
+        i += 2;
+      } else {
+        merged.push(tokens[i]);
       }
     }
+    if (merged.length === 0) throw new Error(`Empty group in "${text}"`);
+    return merged.flatMap((token) => parseConstraintToken(token, flavor));
+  });
 
-    // Check if Gruntfile.js exists
-    const gruntfilePath = path.join(pluginPath, "Gruntfile.js");
-    const hasGruntfile = fs.existsSync(gruntfilePath);
-    validationResults.pluginCommands[plugin.name].hasGruntfile = hasGruntfile;
-    colorLog(
-      `    ${hasGruntfile ? "✅" : "❌"} Gruntfile.js: ${
-        hasGruntfile ? "Found" : "Not found"
-      }`,
-      hasGruntfile ? "green" : "red"
-    );
+  return { constraint: text, flavor, groups };
+}
 
-    // Determine if plugin is compatible
-    const isCompatible =
-      validationResults.globalCommands.composer &&
-      validationResults.globalCommands.npm &&
-      validationResults.globalCommands.grunt &&
-      validationResults.globalCommands.phpVersion &&
-      hasPackageJson &&
-      hasComposerJson &&
-      hasGruntfile &&
-      phpVersionCompatible;
+function describeConstraint(parsed) {
+  return parsed.groups
+    .map((group) =>
+      group.length === 0
+        ? "any version"
+        : group
+            .map(({ op, version }) => `${op}${formatConstraintVersion(version)}`)
+            .join(" ")
+    )
+    .join(" or ");
+}
+
+function satisfiesConstraint(version, parsed) {
+  const candidate =
+    typeof version === "string" ? parseVersion(version) : version;
+  if (!candidate) return false;
+
+  return parsed.groups.some((group) =>
+    group.every(({ op, version: bound }) => {
+      const diff = compareVersions(candidate, bound);
+      switch (op) {
+        case ">=":
+          return diff >= 0;
+        case ">":
+          return diff > 0;
+        case "<=":
+          return diff <= 0;
+        case "<":
+          return diff < 0;
+        case "!=":
+          return diff !== 0;
+        default:
+          return diff === 0;
+      }
+    })
+  );
+}
+
+function getCurrentNodeVersion() {
+  try {
+    const output = execSync("node --version", { encoding: "utf8" });
+    const match = output.match(/v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getCurrentNpmVersion() {
+  try {
+    const output = execSync("npm --version", {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    const match = output.match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reads the Node/npm versions a plugin asks for: engines.node/engines.npm
+// in package.json, .nvmrc and .node-version. A version file pins as much
+// of the version as it gives: "18.17.1" exactly, "18" any Node 18.
+function checkNodeEngines(pluginPath, versions) {
+  const requirements = [];
+
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(pluginPath, "package.json"), "utf8")
+    );
+    for (const tool of ["node", "npm"]) {
+      const range = packageJson.engines?.[tool];
+      if (typeof range === "string" && range.trim()) {
+        requirements.push({ tool, source: `engines.${tool}`, range });
+      }
+    }
+  } catch (error) {
+    // A missing or broken package.json is reported on its own
+  }
+
+  for (const file of [".nvmrc", ".node-version"]) {
+    const filePath = path.join(pluginPath, file);
+    if (!fs.existsSync(filePath)) continue;
+    const value = fs.readFileSync(filePath, "utf8").split(/\r?\n/)[0].trim();
+    const version = value.match(/^v?(\d+(?:\.\d+){0,2})$/);
+    requirements.push({
+      tool: "node",
+      source: file,
+      range: value,
+      // Aliases such as "lts/*" or "node" can't be checked offline
+      constraint: version ? version[1] : null,
+    });
+  }
+
+  for (const requirement of requirements) {
+    const current = versions[requirement.tool];
+    requirement.current = current;
+
+    if (requirement.source.startsWith(".") && !requirement.constraint) {
+      requirement.status = "skipped";
+      requirement.message = `"${requirement.range}" is an alias, not checked`;
+      continue;
+    }
+
+    try {
+      const parsed = parseVersionConstraint(
+        requirement.constraint || requirement.range,
+        "npm"
+      );
+      requirement.interpreted = describeConstraint(parsed);
+      if (!current) {
+        requirement.status = "unknown";
+        requirement.message = `${requirement.tool} version could not be detected`;
+      } else {
+        requirement.status = satisfiesConstraint(current, parsed)
+          ? "ok"
+          : "mismatch";
+      }
+    } catch (error) {
+      requirement.status = "invalid";
+      requirement.message = error.message;
+    }
+  }
+
+  return {
+    requirements,
+    compatible: requirements.every(
+      (requirement) => !["mismatch", "invalid"].includes(requirement.status)
+    ),
+  };
+}
+
+// Reads WordPress style file headers ("Plugin Name:", "Version:", ...)
+// from the first 8KB of a file, the same way get_file_data() does
+function readFileHeaders(content, names) {
+  const head = content.slice(0, 8192).replace(/\r/g, "\n");
+  const headers = {};
+
+  for (const name of names) {
+    const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const match = head.match(
+      new RegExp(`^(?:[ \\t]*<\\?php)?[ \\t\\/*#@]*${escapedName}:(.*)$`, "mi")
+    );
+    if (match) {
+      const value = match[1].replace(/\s*(?:\*\/|\?>).*$/, "").trim();
+      if (value) headers[name] = value;
+    }
+  }
+
+  return headers;
+}
+
+// Finds the main plugin file: <slug>.php first, then any root PHP file
+// with a "Plugin Name:" header
+function findMainPluginFile(pluginPath, pluginName) {
+  const headerNames = [
+    "Plugin Name",
+    "Version",
+    "Text Domain",
+    "Requires Plugins",
+  ];
+  const candidates = [`${pluginName}.php`];
+
+  try {
+    fs.readdirSync(pluginPath)
+      .filter((file) => file.endsWith(".php") && file !== `${pluginName}.php`)
+      .sort()
+      .forEach((file) => candidates.push(file));
+  } catch (error) {
+    return null;
+  }
+
+  for (const file of candidates) {
+    const filePath = path.join(pluginPath, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    const content = fs.readFileSync(filePath, "utf8");
+    const headers = readFileHeaders(content, headerNames);
+    if (headers["Plugin Name"]) {
+      return { file, filePath, content, headers };
+    }
+  }
+
+  return null;
+}
+
+// Parses WordPress style changelogs ("= 1.2.3 - 01/01/2025 =" followed by
+// "* Fix - ..." lines), newest entry first
+function parseChangelog(content) {
+  const entries = [];
+  let current = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const heading = line.match(
+      /^\s*=+\s*v?(\d+(?:\.\d+)*(?:[-+][0-9A-Za-z.-]+)?)\s*(?:[-–—]\s*(.*?))?\s*=+\s*$/
+    );
+    if (heading) {
+      current = { version: heading[1], date: heading[2] || null, lines: [] };
+      entries.push(current);
+    } else if (/^\s*==[^=]/.test(line) && current) {
+      // Next readme.txt section (e.g. "== Upgrade Notice ==")
+      current = null;
+    } else if (current && line.trim()) {
+      current.lines.push(line.trim());
+    }
+  }
+
+  return entries;
+}
+
+function readChangelogEntries(pluginPath) {
+  const changelogPath = path.join(pluginPath, "changelog.txt");
+  if (fs.existsSync(changelogPath)) {
+    return {
+      source: "changelog.txt",
+      entries: parseChangelog(fs.readFileSync(changelogPath, "utf8")),
+    };
+  }
+
+  // Fall back to the == Changelog == section of readme.txt
+  const readmePath = path.join(pluginPath, "readme.txt");
+  if (fs.existsSync(readmePath)) {
+    const readme = fs.readFileSync(readmePath, "utf8");
+    const section = readme.split(/^==\s*Changelog\s*==\s*$/im)[1];
+    if (section !== undefined) {
+      return { source: "readme.txt", entries: parseChangelog(section) };
+    }
+  }
+
+  return { source: null, entries: [] };
+}
+
+// Change types used to group release notes, with the prefixes that map to them
+const CHANGE_TYPES = {
+  Feature: ["feature", "new", "add", "added"],
+  Fix: ["fix", "fixed", "bugfix", "bug"],
+  Tweak: ["tweak", "enhancement", "improvement", "update", "updated"],
+  Dev: ["dev", "developer"],
+};
+
+// Groups changelog lines like "* Fix - Fixed something." by change type.
+// Lines without a known type go to "Other".
+function groupChangelogLines(lines) {
+  const groups = {};
+
+  lines.forEach((line) => {
+    const text = line.replace(/^[*-]\s*/, "");
+    const match = text.match(/^([A-Za-z]+)\s*[-–:]\s*(.+)$/);
+    const type =
+      match &&
+      Object.keys(CHANGE_TYPES).find((name) =>
+        CHANGE_TYPES[name].includes(match[1].toLowerCase())
+      );
+
+    const group = type || "Other";
+    groups[group] = groups[group] || [];
+    groups[group].push(type ? match[2].trim() : text);
+  });
+
+  return groups;
+}
+
+function readJsonVersion(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8")).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkReleaseReadiness(pluginPath, pluginName) {
+  const result = { version: null, versions: [], issues: [] };
+
+  const mainFile = findMainPluginFile(pluginPath, pluginName);
+  if (!mainFile) {
+    result.issues.push("Main plugin file with a Plugin Name header not found");
+    return result;
+  }
+  if (!mainFile.headers.Version) {
+    result.issues.push(`${mainFile.file} has no Version header`);
+    return result;
+  }
+
+  result.version = mainFile.headers.Version;
+  result.versions.push({
+    source: `${mainFile.file} header`,
+    value: result.version,
+  });
+
+  // Version constant, e.g. define( 'UR_PRO_VERSION', '1.2.3' ) or public $version = '1.2.3'.
+  // Requirement constants such as UR_PRO_MIN_PHP_VERSION are not the
+  // plugin's version; of the rest, the one matching the header wins
+  const defines = [
+    ...mainFile.content.matchAll(
+      /define\(\s*['"]([A-Z0-9_]*VERSION)['"]\s*,\s*['"]([^'"]+)['"]\s*\)/g
+    ),
+  ].filter((match) => !/MIN_|REQUIRED_|PHP_|WP_/.test(match[1]));
+  const constantMatch =
+    defines.find((match) => match[2] === result.version) ||
+    defines[0] ||
+    mainFile.content.match(
+      /(?:const\s+(VERSION)|public\s+(?:static\s+)?\$(version))\s*=\s*['"]([^'"]+)['"]/
+    );
+  if (constantMatch) {
+    const name = constantMatch[1] || constantMatch[2];
+    const value = constantMatch[constantMatch.length - 1];
+    result.versions.push({ source: `${name} constant`, value });
+  }
+
+  const readmePath = path.join(pluginPath, "readme.txt");
+  if (fs.existsSync(readmePath)) {
+    const stableTag = readFileHeaders(fs.readFileSync(readmePath, "utf8"), [
+      "Stable tag",
+    ])["Stable tag"];
+    if (stableTag && stableTag !== "trunk") {
+      result.versions.push({ source: "readme.txt Stable tag", value: stableTag });
+    }
+  }
+
+  const packageVersion = readJsonVersion(path.join(pluginPath, "package.json"));
+  if (packageVersion) {
+    result.versions.push({ source: "package.json", value: packageVersion });
+  }
+
+  const composerVersion = readJsonVersion(
+    path.join(pluginPath, "composer.json")
+  );
+  if (composerVersion) {
+    result.versions.push({ source: "composer.json", value: composerVersion });
+  }
+
+  result.versions
+    .filter((entry) => entry.value !== result.version)
+    .forEach((entry) => {
+      result.issues.push(
+        `${entry.source} is ${entry.value}, plugin header is ${result.version}`
+      );
+    });
+
+  // The newest changelog entry must be for the version being released
+  const changelog = readChangelogEntries(pluginPath);
+  if (!changelog.source) {
+    result.issues.push("No changelog.txt or readme.txt changelog found");
+  } else {
+    const topEntry = changelog.entries[0];
+    if (topEntry) {
+      result.versions.push({
+        source: `${changelog.source} top entry`,
+        value: topEntry.version,
+      });
+    }
+
+    const entry = changelog.entries.find(
+      (changelogEntry) => changelogEntry.version === result.version
+    );
+    if (!entry) {
+      result.issues.push(
+        `${changelog.source} has no entry for ${result.version}`
+      );
+    } else if (entry !== topEntry) {
+      result.issues.push(
+        `${changelog.source} entry for ${result.version} is not the newest (top entry is ${topEntry.version})`
+      );
+    } else if (entry.lines.length === 0) {
+      result.issues.push(
+        `${changelog.source} entry for ${result.version} is empty`
+      );
+    }
+  }
+
+  return result;
+}
+
+function runGit(cwd, args) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trimEnd(); // Keep leading spaces, `git status --porcelain` needs them
+  } catch (error) {
+    return null;
+  }
+}
+
+// Branch, HEAD and working tree state of a plugin directory, or null when
+// it isn't a git repository
+function readGitState(pluginPath) {
+  if (!fs.existsSync(path.join(pluginPath, ".git"))) return null;
+
+  const commit = runGit(pluginPath, ["rev-parse", "HEAD"]);
+  if (!commit) {
+    return { error: "Could not read the git repository (is git installed?)" };
+  }
+
+  const branch = runGit(pluginPath, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  // -z keeps paths unquoted; a rename or copy entry is followed by the
+  // path it came from
+  const changes = (
+    runGit(pluginPath, ["status", "--porcelain", "-z"]) || ""
+  ).split("\0");
+  const modified = [];
+  const untracked = [];
+  for (let i = 0; i < changes.length; i++) {
+    const entry = changes[i];
+    if (!entry) continue;
+    const file = entry.slice(3);
+    if (entry.startsWith("??")) {
+      untracked.push(file);
+    } else if (/[RC]/.test(entry.slice(0, 2))) {
+      modified.push(`${changes[++i]} -> ${file}`);
+    } else {
+      modified.push(file);
+    }
+  }
+
+  return {
+    commit,
+    shortCommit: commit.slice(0, 7),
+    branch: branch && branch !== "HEAD" ? branch : null, // null = detached HEAD
+    dirty: modified.length > 0,
+    modified,
+    untracked,
+  };
+}
+
+// Applies the gitChecks policies to a plugin's git state. Branch checks
+// don't apply to plugins built from a ref.
+function checkGitState(pluginPath, ref = null) {
+  const state = readGitState(pluginPath);
+  if (!state) return null;
+
+  const checks = CONFIG.gitChecks;
+  const issues = [];
+  const listFiles = (files) =>
+    `${files.slice(0, 5).join(", ")}${
+      files.length > 5 ? ` and ${files.length - 5} more` : ""
+    }`;
+
+  if (state.error) {
+    issues.push({ check: "git", message: state.error, policy: "warn" });
+    return { ...state, issues };
+  }
+
+  if (state.modified.length > 0) {
+    issues.push({
+      check: "dirty",
+      message: `${state.modified.length} modified file(s): ${listFiles(
+        state.modified
+      )}`,
+      policy: checks.dirty,
+    });
+  }
+  if (state.untracked.length > 0) {
+    issues.push({
+      check: "untracked",
+      message: `${state.untracked.length} untracked file(s): ${listFiles(
+        state.untracked
+      )}`,
+      policy: checks.untracked,
+    });
+  }
+
+  if (checks.releaseBranch && !ref) {
+    if (state.branch !== checks.releaseBranch) {
+      issues.push({
+        check: "wrongBranch",
+        message: `On ${
+          state.branch ? `branch ${state.branch}` : "a detached HEAD"
+        }, not the release branch ${checks.releaseBranch}`,
+        policy: checks.wrongBranch,
+      });
+    }
+
+    const behind = runGit(pluginPath, [
+      "rev-list",
+      "--count",
+      `HEAD..refs/heads/${checks.releaseBranch}`,
+    ]);
+    if (behind === null) {
+      issues.push({
+        check: "behind",
+        message: `Release branch ${checks.releaseBranch} not found`,
+        policy: checks.behind === "ignore" ? "ignore" : "warn",
+      });
+    } else {
+      state.behind = Number(behind);
+      if (state.behind > 0) {
+        issues.push({
+          check: "behind",
+          message: `${state.behind} commit(s) behind ${checks.releaseBranch}`,
+          policy: checks.behind,
+        });
+      }
+    }
+  }
+
+  return {
+    ...state,
+    issues: issues.filter((issue) => issue.policy !== "ignore"),
+  };
+}
+
+// Plugins built from a git ref are checked out into temporary worktrees,
+// which are removed when the builder exits
+const refWorktrees = [];
+let worktreeRoot = null;
+
+function createRefWorktree(plugin) {
+  if (!worktreeRoot) {
+    worktreeRoot = fs.mkdtempSync(path.join(os.tmpdir(), "plugin-builder-"));
+  }
+  const worktreePath = path.join(worktreeRoot, plugin.name);
+
+  try {
+    execFileSync(
+      "git",
+      ["worktree", "add", "--detach", worktreePath, plugin.commit],
+      { cwd: plugin.path, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }
+    );
+  } catch (error) {
+    throw new Error(
+      (error.stderr || "").trim().split("\n").pop() || error.message
+    );
+  }
+
+  refWorktrees.push({ repoPath: plugin.path, worktreePath });
+  return worktreePath;
+}
+
+function removeRefWorktrees() {
+  refWorktrees.splice(0).forEach(({ repoPath, worktreePath }) => {
+    runGit(repoPath, ["worktree", "remove", "--force", worktreePath]);
+    fs.rmSync(worktreePath, { recursive: true, force: true });
+    runGit(repoPath, ["worktree", "prune"]);
+  });
+  if (worktreeRoot) {
+    fs.rmSync(worktreeRoot, { recursive: true, force: true });
+    worktreeRoot = null;
+  }
+}
+
+process.on("exit", removeRefWorktrees);
+
+function formatTagTemplate(template, version, slug) {
+  return template.replace(/\{version\}/g, version).replace(/\{slug\}/g, slug);
+}
+
+// Post-build stage: tags the commit each successful zip was built from with
+// its version. Existing tags are never moved.
+function tagReleases(plugins, buildResults) {
+  colorLog("\n🏷️  Tagging releases", "blue");
+  colorLog("===================", "blue");
+
+  const tags = [];
+  Object.values(buildResults.plugins).forEach((pluginResult) => {
+    if (!pluginResult.success) return;
+
+    const plugin = plugins.find((entry) => entry.name === pluginResult.name);
+    const repoPath = plugin?.sourcePath || plugin?.path || pluginResult.path;
+    const version =
+      pluginResult.checksum?.version ||
+      pluginResult.zipCheck?.mainFile?.Version ||
+      null;
+    const entry = {
+      plugin: pluginResult.name,
+      tag: version
+        ? formatTagTemplate(CONFIG.tagging.format, version, pluginResult.name)
+        : null,
+      commit: pluginResult.commit || null,
+      status: "skipped",
+      reason: null,
+    };
+    tags.push(entry);
+    pluginResult.tag = entry;
+
+    if (!entry.commit) {
+      entry.reason = "Not a git repository";
+    } else if (pluginResult.dirty) {
+      entry.reason = "Built with uncommitted changes";
+    } else if (!version) {
+      entry.reason = "No version found in the zip";
+    } else if (
+      runGit(repoPath, ["check-ref-format", `refs/tags/${entry.tag}`]) === null
+    ) {
+      entry.status = "failed";
+      entry.reason = `"${entry.tag}" is not a valid tag name`;
+    } else {
+      const existing = runGit(repoPath, [
+        "rev-parse",
+        "--verify",
+        "--quiet",
+        `refs/tags/${entry.tag}^{commit}`,
+      ]);
+      if (existing === entry.commit) {
+        entry.status = "exists";
+        entry.reason = "Already tagged at this commit";
+      } else if (existing) {
+        entry.status = "failed";
+        entry.reason = `Tag already exists at ${existing.slice(
+          0,
+          7
+        )}, refusing to move it`;
+      } else {
+        try {
+          execFileSync(
+            "git",
+            [
+              "tag",
+              "-a",
+              entry.tag,
+              "-m",
+              formatTagTemplate(CONFIG.tagging.message, version, entry.plugin),
+              entry.commit,
+            ],
+            { cwd: repoPath, stdio: ["ignore", "pipe", "pipe"] }
+          );
+          entry.status = "created";
+        } catch (error) {
+          entry.status = "failed";
+          entry.reason =
+            String(error.stderr || "").trim().split("\n").pop() ||
+            error.message;
+        }
+      }
+    }
+
+    const shortCommit = entry.commit ? entry.commit.slice(0, 7) : "";
+    if (entry.status === "created") {
+      colorLog(`  ✅ ${entry.plugin}: created ${entry.tag} at ${shortCommit}`, "green");
+    } else if (entry.status === "failed") {
+      colorLog(`  ❌ ${entry.plugin}: ${entry.reason}`, "red");
+    } else {
+      colorLog(
+        `  ⏭️  ${entry.plugin}: ${entry.tag ? `${entry.tag} - ` : ""}${
+          entry.reason
+        }`,
+        "yellow"
+      );
+    }
+  });
+
+  if (tags.length === 0) {
+    colorLog("  No successful builds to tag", "yellow");
+  } else if (tags.some((entry) => entry.status === "created")) {
+    colorLog("💡 Tags are local; push them with git push --tags", "yellow");
+  }
+
+  return tags;
+}
+
+// Resolves each plugin's ref to a commit and, unless this is a dry run,
+// points plugin.path at a worktree of that commit
+function preparePluginRefs(plugins, createWorktrees) {
+  const refPlugins = plugins.filter((plugin) => plugin.ref);
+  if (refPlugins.length === 0) return;
+
+  colorLog("\n📌 Preparing plugins built from git refs...", "blue");
+  refPlugins.forEach((plugin) => {
+    plugin.sourcePath = plugin.path;
+
+    if (!fs.existsSync(path.join(plugin.path, ".git"))) {
+      plugin.refError = `${plugin.path} is not a git repository`;
+    } else {
+      plugin.commit = runGit(plugin.path, [
+        "rev-parse",
+        "--verify",
+        "--quiet",
+        `${plugin.ref}^{commit}`,
+      ]);
+      if (!plugin.commit) {
+        plugin.refError = `Unknown git ref "${plugin.ref}"`;
+      }
+    }
+
+    if (plugin.refError) {
+      colorLog(`  ❌ ${plugin.name}: ${plugin.refError}`, "red");
+      return;
+    }
+
+    if (!createWorktrees) {
+      colorLog(
+        `  📌 ${plugin.name}: ${plugin.ref} → ${plugin.commit.slice(0, 7)}`,
+        "cyan"
+      );
+      return;
+    }
+
+    try {
+      plugin.path = createRefWorktree(plugin);
+      colorLog(
+        `  📌 ${plugin.name}: ${plugin.ref} → ${plugin.commit.slice(
+          0,
+          7
+        )}, worktree ${plugin.path}`,
+        "cyan"
+      );
+    } catch (error) {
+      plugin.refError = `Could not create a worktree: ${error.message}`;
+      colorLog(`  ❌ ${plugin.name}: ${plugin.refError}`, "red");
+    }
+  });
+}
+
+// Phase 1: Command Validation
+async function validateCommands(plugins) {
+  colorLog("\n🔍 PHASE 1: Command Validation", "blue");
+  colorLog("================================", "blue");
+
+  const validationResults = {
+    globalCommands: {},
+    pluginCommands: {},
+    incompatiblePlugins: [],
+  };
+
+  // Check global commands
+  colorLog("\n📋 Checking global commands...", "yellow");
+  for (const [cmdName, cmdCheck] of Object.entries(CONFIG.commandChecks)) {
+    const exists = checkCommandExists(cmdCheck);
+    validationResults.globalCommands[cmdName] = exists;
+    colorLog(
+      `  ${exists ? "✅" : "❌"} ${cmdName}: ${
+        exists ? "Available" : "Not found"
+      }`,
+      exists ? "green" : "red"
+    );
+  }
+
+  // Check PHP version
+  const phpBinaries = detectPHPBinaries();
+  const currentPHPVersion = phpBinaries[0].version;
+  validationResults.globalCommands.phpVersion = currentPHPVersion;
+  if (currentPHPVersion) {
+    colorLog(`  ✅ PHP: ${currentPHPVersion}`, "green");
+  } else {
+    colorLog(`  ❌ PHP: Not found or version detection failed`, "red");
+  }
+
+  // Named PHP binaries from buildSettings.php.binaries
+  validationResults.globalCommands.phpBinaries = phpBinaries
+    .slice(1)
+    .map(({ name, path: binaryPath, version }) => {
+      colorLog(
+        `  ${version ? "✅" : "❌"} PHP ${name}: ${
+          version ? `${version} (${binaryPath})` : `Not found at ${binaryPath}`
+        }`,
+        version ? "green" : "red"
+      );
+      return { name, path: binaryPath, version };
+    });
+  const availablePHPBinaries = phpBinaries.filter((binary) => binary.version);
+
+  // Check Node and npm versions for the engines check
+  const engineVersions = {};
+  if (CONFIG.engineCheck !== "off") {
+    engineVersions.node = getCurrentNodeVersion();
+    engineVersions.npm = validationResults.globalCommands.npm
+      ? getCurrentNpmVersion()
+      : null;
+    validationResults.globalCommands.nodeVersion = engineVersions.node;
+    validationResults.globalCommands.npmVersion = engineVersions.npm;
+    colorLog(
+      `  ${engineVersions.node ? "✅" : "⚠️ "} Node: ${
+        engineVersions.node || "Version detection failed"
+      }${engineVersions.npm ? `, npm: ${engineVersions.npm}` : ""}`,
+      engineVersions.node ? "green" : "yellow"
+    );
+  }
+
+  // Check plugin-specific commands
+  colorLog("\n📋 Checking plugin-specific commands...", "yellow");
+  for (const plugin of plugins) {
+    const pluginPath = plugin.path;
+    validationResults.pluginCommands[plugin.name] = {
+      header: plugin.header,
+      root: plugin.root,
+    };
+
+    colorLog(`\n  🔍 Checking ${plugin.name}:`, "cyan");
+    colorLog(`    📂 Root: ${plugin.root}`, "cyan");
+    if (plugin.dependsOn?.length > 0) {
+      validationResults.pluginCommands[plugin.name].dependsOn = plugin.dependsOn;
+      colorLog(`    🔗 Depends on: ${plugin.dependsOn.join(", ")}`, "cyan");
+    }
+
+    // Plugins built from a git ref are checked in their worktree
+    let refReady = true;
+    if (plugin.ref) {
+      validationResults.pluginCommands[plugin.name].ref = {
+        ref: plugin.ref,
+        commit: plugin.commit || null,
+        error: plugin.refError || null,
+      };
+      if (plugin.refError) {
+        refReady = false;
+        colorLog(`    ❌ Git ref ${plugin.ref}: ${plugin.refError}`, "red");
+      } else {
+        colorLog(
+          `    📌 Git ref ${plugin.ref}: ${plugin.commit.slice(0, 7)}`,
+          "cyan"
+        );
+      }
+    }
+
+    // Check if package.json exists
+    const packageJsonPath = path.join(pluginPath, "package.json");
+    const hasPackageJson = fs.existsSync(packageJsonPath);
+    validationResults.pluginCommands[plugin.name].hasPackageJson =
+      hasPackageJson;
+    colorLog(
+      `    ${hasPackageJson ? "✅" : "❌"} package.json: ${
+        hasPackageJson ? "Found" : "Not found"
+      }`,
+      hasPackageJson ? "green" : "red"
+    );
+
+    // Check if composer.json exists and validate PHP version
+    const composerJsonPath = path.join(pluginPath, "composer.json");
+    const hasComposerJson = fs.existsSync(composerJsonPath);
+    validationResults.pluginCommands[plugin.name].hasComposerJson =
+      hasComposerJson;
+    colorLog(
+      `    ${hasComposerJson ? "✅" : "❌"} composer.json: ${
+        hasComposerJson ? "Found" : "Not found"
+      }`,
+      hasComposerJson ? "green" : "red"
+    );
+
+    let phpVersionCompatible = true;
+    if (hasComposerJson && availablePHPBinaries.length > 0) {
+      try {
+        const composerContent = fs.readFileSync(composerJsonPath, "utf8");
+        const composerJson = JSON.parse(composerContent);
+
+        // Check require.php, platform.php, and config.platform.php
+        const phpRequirement =
+          composerJson.require?.php ||
+          composerJson.platform?.php ||
+          composerJson.config?.platform?.php;
+        const requirementSource = composerJson.require?.php
+          ? "require"
+          : composerJson.platform?.php
+          ? "platform"
+          : composerJson.config?.platform?.php
+          ? "config.platform"
+          : "";
+
+        if (phpRequirement) {
+          let constraint = null;
+          try {
+            constraint = parseVersionConstraint(phpRequirement);
+          } catch (error) {
+            colorLog(
+              `    ❌ PHP requirement (${requirementSource}): ${phpRequirement} is not a valid constraint: ${error.message}`,
+              "red"
+            );
+          }
+
+          const phpBinary = constraint
+            ? selectPHPBinary(availablePHPBinaries, constraint)
+            : null;
+          phpVersionCompatible = Boolean(phpBinary);
+          validationResults.pluginCommands[plugin.name].phpConstraint =
+            constraint ? describeConstraint(constraint) : "invalid";
+          validationResults.pluginCommands[plugin.name].phpRequirement =
+            phpRequirement;
+          validationResults.pluginCommands[plugin.name].phpRequirementSource =
+            requirementSource;
+          validationResults.pluginCommands[plugin.name].phpVersionCompatible =
+            phpVersionCompatible;
+
+          if (constraint) {
+            // With named binaries, say which one was picked (or which exist)
+            const versionNote =
+              phpBinaries.length === 1
+                ? `current: ${currentPHPVersion}`
+                : phpBinary
+                ? `using ${phpBinary.name} ${phpBinary.version}`
+                : `available: ${availablePHPBinaries
+                    .map((binary) => `${binary.name} ${binary.version}`)
+                    .join(", ")}`;
+            colorLog(
+              `    ${
+                phpVersionCompatible ? "✅" : "❌"
+              } PHP requirement (${requirementSource}): ${phpRequirement} → ${describeConstraint(
+                constraint
+              )} (${versionNote})`,
+              phpVersionCompatible ? "green" : "red"
+            );
+          }
+
+          if (phpBinary && !phpBinary.isDefault) {
+            const composerScript =
+              phpBinary.composer || CONFIG.php.composer || findComposerScript();
+            validationResults.pluginCommands[plugin.name].phpBinary = {
+              name: phpBinary.name,
+              path: phpBinary.path,
+              version: phpBinary.version,
+            };
+            if (composerScript) {
+              plugin.php = { ...phpBinary, composer: composerScript };
+              const pathPHPSteps = resolveBuildSteps(plugin.name, plugin.php)
+                .steps.filter((step) => mentionsPathPHP(step.cmd))
+                .map((step) => step.key);
+              if (pathPHPSteps.length > 0) {
+                validationResults.pluginCommands[
+                  plugin.name
+                ].phpBinary.pathPHPSteps = pathPHPSteps;
+                colorLog(
+                  `    ⚠️  ${pathPHPSteps.join(
+                    ", "
+                  )}: composer is not at the start of a command, so it runs with the php on the PATH`,
+                  "yellow"
+                );
+              }
+            } else {
+              phpVersionCompatible = false;
+              validationResults.pluginCommands[
+                plugin.name
+              ].phpVersionCompatible = false;
+              colorLog(
+                `    ❌ Composer not found to run with ${phpBinary.name}: set buildSettings.php.composer`,
+                "red"
+              );
+            }
+          } else if (phpBinary && phpBinaries.length > 1) {
+            // With named binaries configured, falling back to the PATH php
+            // is recorded as well
+            validationResults.pluginCommands[plugin.name].phpBinary = {
+              name: phpBinary.name,
+              path: "php on the PATH",
+              version: phpBinary.version,
+            };
+            plugin.php = phpBinary;
+          }
+        } else {
+          colorLog(
+            `    ⚠️  PHP requirement: Not specified in require or platform`,
+            "yellow"
+          );
+        }
+      } catch (error) {
+        colorLog(`    ❌ PHP requirement: Error reading composer.json`, "red");
+        phpVersionCompatible = false;
+      }
+    }
+
+    // Check Node/npm requirements
+    let enginesReady = true;
+    if (CONFIG.engineCheck !== "off") {
+      const engineCheck = checkNodeEngines(pluginPath, engineVersions);
+      const blocking = CONFIG.engineCheck === "block";
+      engineCheck.blocking = blocking;
+      if (engineCheck.requirements.length > 0) {
+        validationResults.pluginCommands[plugin.name].engineCheck = engineCheck;
+      }
+      if (!engineCheck.compatible && blocking) enginesReady = false;
+
+      engineCheck.requirements.forEach((requirement) => {
+        const failed = ["mismatch", "invalid"].includes(requirement.status);
+        const color =
+          requirement.status === "ok"
+            ? "green"
+            : failed && blocking
+            ? "red"
+            : "yellow";
+        const icon = { green: "✅", red: "❌", yellow: "⚠️ " }[color];
+        const detail =
+          requirement.status === "ok" || requirement.status === "mismatch"
+            ? `${requirement.range} → ${requirement.interpreted} (current: ${requirement.current})`
+            : `${requirement.range}: ${requirement.message}`;
+        colorLog(
+          `    ${icon} ${requirement.tool} requirement (${requirement.source}): ${detail}`,
+          color
+        );
+      });
+    }
+
+    // Check if Gruntfile.js exists
+    const gruntfilePath = path.join(pluginPath, "Gruntfile.js");
+    const hasGruntfile = fs.existsSync(gruntfilePath);
+    validationResults.pluginCommands[plugin.name].hasGruntfile = hasGruntfile;
+    colorLog(
+      `    ${hasGruntfile ? "✅" : "❌"} Gruntfile.js: ${
+        hasGruntfile ? "Found" : "Not found"
+      }`,
+      hasGruntfile ? "green" : "red"
+    );
+
+    // Check that versions and changelog agree before releasing
+    let releaseReady = true;
+    if (CONFIG.releaseCheck !== "off") {
+      const releaseCheck = checkReleaseReadiness(pluginPath, plugin.name);
+      const blocking = CONFIG.releaseCheck === "block";
+      releaseCheck.blocking = blocking;
+      validationResults.pluginCommands[plugin.name].releaseCheck = releaseCheck;
+
+      if (releaseCheck.issues.length === 0) {
+        colorLog(
+          `    ✅ Release readiness: version ${releaseCheck.version} is consistent`,
+          "green"
+        );
+      } else {
+        releaseReady = !blocking;
+        colorLog(
+          `    ${blocking ? "❌" : "⚠️ "} Release readiness: ${
+            releaseCheck.issues.length
+          } issue(s)`,
+          blocking ? "red" : "yellow"
+        );
+        releaseCheck.issues.forEach((issue) =>
+          colorLog(`      • ${issue}`, blocking ? "red" : "yellow")
+        );
+      }
+    }
+
+    // Check which code is about to be built
+    let gitReady = true;
+    const gitCheck = checkGitState(pluginPath, plugin.ref);
+    if (gitCheck) {
+      validationResults.pluginCommands[plugin.name].git = gitCheck;
+      if (gitCheck.commit) {
+        colorLog(
+          `    🌿 Git: ${
+            gitCheck.branch || "detached HEAD"
+          } @ ${gitCheck.shortCommit}${gitCheck.dirty ? " (dirty)" : ""}`,
+          "cyan"
+        );
+      }
+      gitCheck.issues.forEach((issue) => {
+        const blocking = issue.policy === "block";
+        if (blocking) gitReady = false;
+        colorLog(
+          `    ${blocking ? "❌" : "⚠️ "} Git: ${issue.message}`,
+          blocking ? "red" : "yellow"
+        );
+      });
+    }
+
+    // Determine if plugin is compatible
+    const isCompatible =
+      validationResults.globalCommands.composer &&
+      validationResults.globalCommands.npm &&
+      validationResults.globalCommands.grunt &&
+      availablePHPBinaries.length > 0 &&
+      hasPackageJson &&
+      hasComposerJson &&
+      hasGruntfile &&
+      phpVersionCompatible &&
+      enginesReady &&
+      releaseReady &&
+      gitReady &&
+      refReady;
+
+    validationResults.pluginCommands[plugin.name].isCompatible = isCompatible;
+
+    if (!isCompatible) {
+      validationResults.incompatiblePlugins.push(plugin.name);
+      colorLog(`    ❌ ${plugin.name} is NOT compatible`, "red");
+    } else {
+      colorLog(`    ✅ ${plugin.name} is compatible`, "green");
+    }
+  }
+
+  // Summary
+  colorLog("\n📊 VALIDATION SUMMARY", "blue");
+  colorLog("====================", "blue");
+  colorLog(
+    `✅ Compatible plugins: ${
+      plugins.length - validationResults.incompatiblePlugins.length
+    }`,
+    "green"
+  );
+  colorLog(
+    `❌ Incompatible plugins: ${validationResults.incompatiblePlugins.length}`,
+    "red"
+  );
+
+  if (validationResults.incompatiblePlugins.length > 0) {
+    colorLog("\n🚫 Incompatible plugins:", "red");
+    validationResults.incompatiblePlugins.forEach((plugin) => {
+      colorLog(`  • ${plugin}`, "red");
+    });
+  }
+
+  return validationResults;
+}
+
+// Incremental builds: a plugin is fingerprinted after a good build and
+// skipped on the next run while its sources and build steps are unchanged
+function collectFingerprintFiles(dir, relativeDir = "") {
+  const files = [];
+  const entries = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    const relativePath = relativeDir
+      ? `${relativeDir}/${entry.name}`
+      : entry.name;
+
+    if (entry.isDirectory()) {
+      if (CONFIG.fingerprintExclude.includes(entry.name)) continue;
+      files.push(
+        ...collectFingerprintFiles(path.join(dir, entry.name), relativePath)
+      );
+    } else if (entry.isFile()) {
+      // Zip files left in the plugin root are build artifacts, not sources
+      if (!relativeDir && entry.name.endsWith(".zip")) continue;
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+// Plugins built from a git ref are fingerprinted by their commit. The
+// fingerprints of the plugins it depends on are included, so a plugin is
+// rebuilt when one of them changes
+function computePluginFingerprint(
+  pluginPath,
+  steps,
+  commit = null,
+  dependencies = []
+) {
+  const hash = crypto.createHash("sha256");
+  hash.update(JSON.stringify(steps.map((step) => [step.key, step.cmd])));
+  hash.update(JSON.stringify(CONFIG.packaging));
+  if (dependencies.length > 0) {
+    hash.update(`\ndependencies\0${JSON.stringify(dependencies)}`);
+  }
+
+  if (commit) {
+    hash.update(`\ncommit\0${commit}`);
+    return hash.digest("hex");
+  }
+
+  for (const file of collectFingerprintFiles(pluginPath)) {
+    const fileHash = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(path.join(pluginPath, file)))
+      .digest("hex");
+    hash.update(`\n${file}\0${fileHash}`);
+  }
+
+  return hash.digest("hex");
+}
+
+function loadBuildCache() {
+  const cachePath = path.resolve(CONFIG.outputDir, CONFIG.buildCacheFile);
+
+  if (fs.existsSync(cachePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+      if (cache && typeof cache.plugins === "object") return cache;
+    } catch (error) {
+      colorLog(
+        `⚠️  Ignoring unreadable build cache: ${error.message}`,
+        "yellow"
+      );
+    }
+  }
+
+  return { plugins: {} };
+}
+
+function saveBuildCache(cache) {
+  const cachePath = path.resolve(CONFIG.outputDir, CONFIG.buildCacheFile);
+  try {
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+  } catch (error) {
+    colorLog(`⚠️  Could not save build cache: ${error.message}`, "yellow");
+  }
+}
+
+// Last good build of each dependency, [name, fingerprint]
+function getDependencyFingerprints(plugin, buildCache) {
+  return (plugin.dependsOn || []).map((name) => [
+    name,
+    buildCache.plugins[name]?.fingerprint || null,
+  ]);
+}
+
+function getUpToDateEntry(plugin, steps, buildCache) {
+  const cached = buildCache.plugins[plugin.name];
+  if (!cached) return null;
+
+  // The artifact from the last build must still be in the output directory
+  if (cached.zipFile && !fs.existsSync(cached.zipFile)) return null;
+
+  try {
+    const fingerprint = computePluginFingerprint(
+      plugin.path,
+      steps,
+      plugin.commit,
+      getDependencyFingerprints(plugin, buildCache)
+    );
+    return fingerprint === cached.fingerprint ? cached : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function recordBuildFingerprint(plugin, steps, pluginResult, buildCache) {
+  // Only cache builds where every step passed and the expected zip exists
+  const allStepsPassed = Object.values(pluginResult.steps).every(
+    (step) => step.success
+  );
+  const expectsZip =
+    CONFIG.packaging.method === "native" ||
+    steps.some((step) => step.key === "gruntZip");
+
+  if (
+    !pluginResult.success ||
+    !allStepsPassed ||
+    (expectsZip && !pluginResult.zipFile)
+  ) {
+    delete buildCache.plugins[plugin.name];
+    return;
+  }
+
+  try {
+    buildCache.plugins[plugin.name] = {
+      fingerprint: computePluginFingerprint(
+        plugin.path,
+        steps,
+        plugin.commit,
+        getDependencyFingerprints(plugin, buildCache)
+      ),
+      zipFile: pluginResult.zipFile,
+      builtAt: pluginResult.endTime,
+      commit: pluginResult.commit || null,
+      dirty: pluginResult.dirty || false,
+    };
+  } catch (error) {
+    delete buildCache.plugins[plugin.name];
+    colorLog(
+      `⚠️  Could not fingerprint ${plugin.name}: ${error.message}`,
+      "yellow"
+    );
+  }
+}
+
+// Run state for --resume: every plugin's result, saved after each step.
+// Step output is left out; the step logs have it.
+function createBuildState() {
+  return {
+    startTime: new Date().toISOString(),
+    duration: 0, // Seconds spent in earlier sessions of this run
+    plugins: {},
+  };
+}
+
+function loadBuildState() {
+  const statePath = path.resolve(CONFIG.outputDir, CONFIG.buildStateFile);
+
+  if (fs.existsSync(statePath)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+      if (state && typeof state.plugins === "object") return state;
+    } catch (error) {
+      colorLog(
+        `⚠️  Ignoring unreadable build state: ${error.message}`,
+        "yellow"
+      );
+    }
+  }
+
+  return null;
+}
+
+function saveBuildState(state) {
+  const statePath = path.resolve(CONFIG.outputDir, CONFIG.buildStateFile);
+  state.updatedAt = new Date().toISOString();
+  try {
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  } catch (error) {
+    colorLog(`⚠️  Could not save build state: ${error.message}`, "yellow");
+  }
+}
+
+function stripStepOutput(stepData) {
+  const { output, errorOutput, ...rest } = stepData;
+  if (rest.attempts) {
+    rest.attempts = rest.attempts.map(
+      ({ output, errorOutput, ...attempt }) => attempt
+    );
+  }
+  return rest;
+}
+
+function toStateResult(pluginResult) {
+  const steps = {};
+  Object.entries(pluginResult.steps).forEach(([key, stepData]) => {
+    steps[key] = stripStepOutput(stepData);
+  });
+  return { ...pluginResult, steps };
+}
+
+// A plugin is done when it built (or was up to date) and its zip still exists
+function isFinishedStateResult(previous) {
+  return Boolean(
+    previous &&
+      previous.success &&
+      (!previous.zipFile || fs.existsSync(previous.zipFile))
+  );
+}
+
+function createUpToDateResult(plugin, cached) {
+  const now = new Date().toISOString();
+  return {
+    name: plugin.name,
+    path: plugin.path,
+    startTime: now,
+    endTime: now,
+    steps: {},
+    success: true,
+    skipped: true,
+    lastBuiltAt: cached.builtAt,
+    zipFile: cached.zipFile,
+    commit: cached.commit || null,
+    dirty: cached.dirty || false,
+    error: null,
+    totalDuration: 0,
+  };
+}
+
+// A plugin that was not built because a plugin it depends on failed
+function createBlockedResult(plugin, blockedBy) {
+  const now = new Date().toISOString();
+  return {
+    name: plugin.name,
+    path: plugin.path,
+    startTime: now,
+    endTime: now,
+    steps: {},
+    success: false,
+    blocked: true,
+    blockedBy,
+    zipFile: null,
+    error: `Blocked by failed dependency: ${blockedBy.join(", ")}`,
+    totalDuration: 0,
+  };
+}
 
-    validationResults.pluginCommands[plugin.name].isCompatible = isCompatible;
+// Native packaging: zips the plugin into <outputDir>/<slug>.zip with a
+// <slug>/ top-level folder, honoring .distignore and the configured excludes
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
 
-    if (!isCompatible) {
-      validationResults.incompatiblePlugins.push(plugin.name);
-      colorLog(`    ❌ ${plugin.name} is NOT compatible`, "red");
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Converts a .distignore / gitignore style glob into a regular expression
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        if (glob[i + 2] === "/") {
+          pattern += "(?:.*/)?";
+          i += 2;
+        } else {
+          pattern += ".*";
+          i += 1;
+        }
+      } else {
+        pattern += "[^/]*";
+      }
+    } else if (char === "?") {
+      pattern += "[^/]";
     } else {
-      colorLog(`    ✅ ${plugin.name} is compatible`, "green");
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
     }
   }
+  return pattern;
+}
 
-  // Summary
-  colorLog("\n📊 VALIDATION SUMMARY", "blue");
-  colorLog("====================", "blue");
-  colorLog(
-    `✅ Compatible plugins: ${
-      plugins.length - validationResults.incompatiblePlugins.length
-    }`,
-    "green"
+function parseIgnorePatterns(lines) {
+  return lines
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      let pattern = line;
+      const negate = pattern.startsWith("!");
+      if (negate) pattern = pattern.slice(1);
+
+      const directoryOnly = pattern.endsWith("/");
+      if (directoryOnly) pattern = pattern.replace(/\/+$/, "");
+
+      // Patterns containing a slash are relative to the plugin root,
+      // bare names match at any depth
+      const anchored = pattern.includes("/");
+      pattern = pattern.replace(/^\/+/, "");
+
+      const source = anchored
+        ? `^${globToRegExp(pattern)}$`
+        : `^(?:.*/)?${globToRegExp(pattern)}$`;
+
+      return { source: line, regex: new RegExp(source), negate, directoryOnly };
+    });
+}
+
+function isPathIgnored(relativePath, isDirectory, patterns) {
+  let ignored = false;
+  for (const pattern of patterns) {
+    if (pattern.directoryOnly && !isDirectory) continue;
+    if (pattern.regex.test(relativePath)) {
+      ignored = !pattern.negate;
+    }
+  }
+  return ignored;
+}
+
+function loadPackageExcludes(pluginPath) {
+  const patterns = [...(CONFIG.packaging.exclude || [])];
+  const sources = [];
+
+  if (patterns.length > 0) {
+    sources.push(`${CONFIG.pluginListFile} exclude list`);
+  }
+
+  const distignorePath = path.join(pluginPath, ".distignore");
+  if (fs.existsSync(distignorePath)) {
+    patterns.push(...fs.readFileSync(distignorePath, "utf8").split(/\r?\n/));
+    sources.push(".distignore");
+  } else {
+    patterns.push(...CONFIG.defaultPackageExclude);
+    sources.push("default exclude list");
+  }
+
+  return { patterns: parseIgnorePatterns(patterns), sources };
+}
+
+function collectPackageEntries(pluginPath, pluginName, patterns, prefix = "") {
+  const entries = [];
+  // Real paths of the directories packaged so far, so a linked directory
+  // that points back into the plugin is not walked again
+  const visitedDirs = new Set([fs.realpathSync(pluginPath)]);
+
+  function walk(dir, relativeDir) {
+    const dirEntries = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const dirEntry of dirEntries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${dirEntry.name}`
+        : dirEntry.name;
+      const fullPath = path.join(dir, dirEntry.name);
+
+      let stats;
+      try {
+        stats = fs.lstatSync(fullPath);
+        if (stats.isSymbolicLink()) {
+          stats = fs.statSync(fullPath); // Links are packaged as their target
+        }
+      } catch (error) {
+        continue; // Broken symlink
+      }
+
+      const isDirectory = stats.isDirectory();
+      if (isPathIgnored(relativePath, isDirectory, patterns)) continue;
+
+      if (isDirectory) {
+        const realDir = fs.realpathSync(fullPath);
+        if (visitedDirs.has(realDir)) {
+          colorLog(
+            `  ⚠️  Skipping ${relativePath}: links to a directory that is already packaged`,
+            "yellow",
+            prefix
+          );
+          continue;
+        }
+        visitedDirs.add(realDir);
+        entries.push({
+          name: `${pluginName}/${relativePath}/`,
+          isDirectory: true,
+          mode: stats.mode,
+          mtime: stats.mtime,
+        });
+        walk(fullPath, relativePath);
+      } else if (stats.isFile()) {
+        entries.push({
+          name: `${pluginName}/${relativePath}`,
+          sourcePath: fullPath,
+          isDirectory: false,
+          mode: stats.mode,
+          mtime: stats.mtime,
+        });
+      }
+    }
+  }
+
+  const rootStats = fs.statSync(pluginPath);
+  entries.push({
+    name: `${pluginName}/`,
+    isDirectory: true,
+    mode: rootStats.mode,
+    mtime: rootStats.mtime,
+  });
+  walk(pluginPath, "");
+
+  return entries;
+}
+
+function writeZipFile(zipPath, entries) {
+  if (entries.length > 0xffff) {
+    throw new Error(`Too many files for a zip archive (${entries.length})`);
+  }
+
+  const fd = fs.openSync(zipPath, "w");
+  const centralDirectory = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const name = Buffer.from(entry.name, "utf8");
+      const data = entry.isDirectory
+        ? Buffer.alloc(0)
+        : fs.readFileSync(entry.sourcePath);
+      const compressed = data.length > 0 ? zlib.deflateRawSync(data) : data;
+      // Store files that don't shrink when deflated
+      const method = compressed.length < data.length ? 8 : 0;
+      const body = method === 8 ? compressed : data;
+      const checksum = crc32(data);
+      const { time, date } = toDosDateTime(entry.mtime);
+
+      if (offset + 30 + name.length + body.length > 0xffffffff) {
+        throw new Error("Zip archive exceeds 4GB, which is not supported");
+      }
+
+      const localHeader = Buffer.alloc(30);
+      localHeader.writeUInt32LE(0x04034b50, 0);
+      localHeader.writeUInt16LE(20, 4); // Version needed to extract
+      localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      localHeader.writeUInt16LE(method, 8);
+      localHeader.writeUInt16LE(time, 10);
+      localHeader.writeUInt16LE(date, 12);
+      localHeader.writeUInt32LE(checksum, 14);
+      localHeader.writeUInt32LE(body.length, 18);
+      localHeader.writeUInt32LE(data.length, 22);
+      localHeader.writeUInt16LE(name.length, 26);
+      localHeader.writeUInt16LE(0, 28);
+
+      fs.writeSync(fd, localHeader);
+      fs.writeSync(fd, name);
+      if (body.length > 0) fs.writeSync(fd, body);
+
+      const centralHeader = Buffer.alloc(46);
+      centralHeader.writeUInt32LE(0x02014b50, 0);
+      centralHeader.writeUInt16LE((3 << 8) | 20, 4); // Made by Unix, spec 2.0
+      centralHeader.writeUInt16LE(20, 6);
+      centralHeader.writeUInt16LE(0x0800, 8);
+      centralHeader.writeUInt16LE(method, 10);
+      centralHeader.writeUInt16LE(time, 12);
+      centralHeader.writeUInt16LE(date, 14);
+      centralHeader.writeUInt32LE(checksum, 16);
+      centralHeader.writeUInt32LE(body.length, 20);
+      centralHeader.writeUInt32LE(data.length, 24);
+      centralHeader.writeUInt16LE(name.length, 28);
+      centralHeader.writeUInt32LE(
+        (((entry.mode & 0xffff) << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0,
+        38
+      );
+      centralHeader.writeUInt32LE(offset, 42);
+      centralDirectory.push(centralHeader, name);
+
+      offset += localHeader.length + name.length + body.length;
+    }
+
+    const centralDirectoryBuffer = Buffer.concat(centralDirectory);
+    fs.writeSync(fd, centralDirectoryBuffer);
+
+    const endOfCentralDirectory = Buffer.alloc(22);
+    endOfCentralDirectory.writeUInt32LE(0x06054b50, 0);
+    endOfCentralDirectory.writeUInt16LE(entries.length, 8);
+    endOfCentralDirectory.writeUInt16LE(entries.length, 10);
+    endOfCentralDirectory.writeUInt32LE(centralDirectoryBuffer.length, 12);
+    endOfCentralDirectory.writeUInt32LE(offset, 16);
+    fs.writeSync(fd, endOfCentralDirectory);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function packagePluginNative(pluginPath, pluginName, prefix = "") {
+  const startTime = Date.now();
+  const destZipPath = path.join(CONFIG.outputDir, `${pluginName}.zip`);
+  const tempZipPath = `${destZipPath}.tmp`;
+  colorLog(`  Native packaging...`, "yellow", prefix);
+
+  const finish = (success, error, extra = {}) => {
+    const endTime = Date.now();
+    return {
+      success,
+      error,
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      duration: Math.round((endTime - startTime) / 1000),
+      ...extra,
+    };
+  };
+
+  try {
+    const { patterns, sources } = loadPackageExcludes(pluginPath);
+    const entries = collectPackageEntries(
+      pluginPath,
+      pluginName,
+      patterns,
+      prefix
+    );
+    const fileCount = entries.filter((entry) => !entry.isDirectory).length;
+
+    writeZipFile(tempZipPath, entries);
+    fs.renameSync(tempZipPath, destZipPath);
+
+    const result = finish(true, null, {
+      zipFile: destZipPath,
+      fileCount,
+      excludeSources: sources,
+    });
+    colorLog(
+      `  ✅ Native packaging completed: ${fileCount} files, excludes from ${sources.join(
+        " + "
+      )} (${result.duration}s)`,
+      "green",
+      prefix
+    );
+    return result;
+  } catch (error) {
+    if (fs.existsSync(tempZipPath)) fs.unlinkSync(tempZipPath);
+    const result = finish(false, error.message);
+    colorLog(
+      `  ❌ Native packaging failed: ${error.message} (${result.duration}s)`,
+      "red",
+      prefix
+    );
+    return result;
+  }
+}
+
+// Zip inspection: reads a zip's central directory (no zip64) to check what
+// is about to be shipped
+function readZipEntries(fd, fileSize) {
+  const tailSize = Math.min(fileSize, 0xffff + 22);
+  const tail = Buffer.alloc(tailSize);
+  fs.readSync(fd, tail, 0, tailSize, fileSize - tailSize);
+
+  let eocd = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip file (no end of central directory)");
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported");
+  }
+
+  const directory = Buffer.alloc(directorySize);
+  fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const name = directory
+      .toString("utf8", offset + 46, offset + 46 + nameLength)
+      .replace(/\\/g, "/");
+    entries.push({
+      name,
+      isDirectory: name.endsWith("/"),
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      headerOffset: directory.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function readZipEntryContent(fd, entry) {
+  const localHeader = Buffer.alloc(30);
+  fs.readSync(fd, localHeader, 0, 30, entry.headerOffset);
+  if (localHeader.readUInt32LE(0) !== 0x04034b50) {
+    throw new Error(`Corrupt local header for ${entry.name}`);
+  }
+
+  const dataOffset =
+    entry.headerOffset +
+    30 +
+    localHeader.readUInt16LE(26) +
+    localHeader.readUInt16LE(28);
+  const data = Buffer.alloc(entry.compressedSize);
+  fs.readSync(fd, data, 0, entry.compressedSize, dataOffset);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(
+    `Unsupported compression method ${entry.method} for ${entry.name}`
   );
-  colorLog(
-    `❌ Incompatible plugins: ${validationResults.incompatiblePlugins.length}`,
-    "red"
+}
+
+// Main plugin file inside a zip: <slug>/<slug>.php first, then any other
+// PHP file in <slug>/ with a "Plugin Name:" header
+function findZipMainFile(fd, entries, pluginName) {
+  const rootPrefix = `${pluginName}/`;
+  const rootPhpFiles = entries
+    .filter(
+      (entry) =>
+        entry.name.startsWith(rootPrefix) &&
+        /^[^/]+\.php$/.test(entry.name.slice(rootPrefix.length))
+    )
+    .map((entry) => ({ ...entry, file: entry.name.slice(rootPrefix.length) }))
+    .sort((a, b) =>
+      a.file === `${pluginName}.php`
+        ? -1
+        : b.file === `${pluginName}.php`
+        ? 1
+        : a.file.localeCompare(b.file)
+    );
+
+  for (const entry of rootPhpFiles) {
+    const headers = readFileHeaders(
+      readZipEntryContent(fd, entry).toString("utf8"),
+      ["Plugin Name", "Version"]
+    );
+    if (headers["Plugin Name"]) {
+      return { file: entry.file, ...headers };
+    }
+  }
+
+  return null;
+}
+
+function formatFileSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${(bytes / 1024).toFixed(1)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Checks a plugin zip: one <slug>/ top-level folder, a main plugin file with
+// a valid header, no forbidden paths, all required paths and the size limit
+function inspectPluginZip(zipPath, pluginName) {
+  const checks = CONFIG.zipChecks;
+  const result = {
+    zipFile: zipPath,
+    size: 0,
+    fileCount: 0,
+    mainFile: null,
+    violations: [],
+  };
+  const violation = (message) => result.violations.push(message);
+
+  let fd;
+  try {
+    fd = fs.openSync(zipPath, "r");
+    result.size = fs.fstatSync(fd).size;
+    const entries = readZipEntries(fd, result.size);
+    result.fileCount = entries.filter((entry) => !entry.isDirectory).length;
+
+    // Single top-level folder named after the slug
+    const topLevel = [...new Set(entries.map((entry) => entry.name.split("/")[0]))];
+    const strayTopLevel = topLevel.filter((name) => name !== pluginName);
+    if (!topLevel.includes(pluginName)) {
+      violation(`No top-level "${pluginName}/" folder`);
+    }
+    if (strayTopLevel.length > 0) {
+      violation(
+        `Unexpected top-level entries: ${strayTopLevel.slice(0, 5).join(", ")}${
+          strayTopLevel.length > 5 ? ` and ${strayTopLevel.length - 5} more` : ""
+        }`
+      );
+    }
+
+    // Paths inside the plugin folder, including folders only implied by files
+    const rootPrefix = `${pluginName}/`;
+    const files = entries
+      .filter((entry) => !entry.isDirectory && entry.name.startsWith(rootPrefix))
+      .map((entry) => ({ ...entry, relativePath: entry.name.slice(rootPrefix.length) }));
+    const directories = new Set();
+    files.forEach((file) => {
+      const parts = file.relativePath.split("/");
+      for (let i = 1; i < parts.length; i++) {
+        directories.add(parts.slice(0, i).join("/"));
+      }
+    });
+    entries
+      .filter((entry) => entry.isDirectory && entry.name.startsWith(rootPrefix))
+      .forEach((entry) => {
+        const directory = entry.name.slice(rootPrefix.length).replace(/\/$/, "");
+        if (directory) directories.add(directory);
+      });
+
+    result.mainFile = findZipMainFile(fd, entries, pluginName);
+    if (result.mainFile && !result.mainFile.Version) {
+      violation(`Main plugin file ${result.mainFile.file} has no Version header`);
+    }
+    if (!result.mainFile && topLevel.includes(pluginName)) {
+      violation(`No main plugin file with a "Plugin Name:" header in ${rootPrefix}`);
+    }
+
+    // Forbidden paths, reported once per matching folder or file
+    const forbidden = parseIgnorePatterns(checks.forbidden);
+    const forbiddenPaths = [];
+    const paths = [
+      ...[...directories].map((directory) => ({ path: directory, isDirectory: true })),
+      ...files.map((file) => ({ path: file.relativePath, isDirectory: false })),
+    ].sort((a, b) => a.path.localeCompare(b.path));
+    paths.forEach((entry) => {
+      if (forbiddenPaths.some((found) => entry.path.startsWith(`${found}/`))) {
+        return;
+      }
+      if (isPathIgnored(entry.path, entry.isDirectory, forbidden)) {
+        forbiddenPaths.push(entry.path);
+      }
+    });
+    if (forbiddenPaths.length > 0) {
+      violation(
+        `Forbidden paths: ${forbiddenPaths
+          .slice(0, 10)
+          .map((found) => (directories.has(found) ? `${found}/` : found))
+          .join(", ")}${
+          forbiddenPaths.length > 10 ? ` and ${forbiddenPaths.length - 10} more` : ""
+        }`
+      );
+    }
+
+    // Required paths
+    checks.required.forEach((required) => {
+      const patterns = parseIgnorePatterns([required]);
+      if (!paths.some((entry) => isPathIgnored(entry.path, entry.isDirectory, patterns))) {
+        violation(`Missing required path: ${required}`);
+      }
+    });
+
+    // Size ceiling
+    if (checks.maxSizeMB > 0 && result.size > checks.maxSizeMB * 1024 * 1024) {
+      violation(
+        `Zip is ${formatFileSize(result.size)}, over the ${
+          checks.maxSizeMB
+        } MB limit`
+      );
+    }
+  } catch (error) {
+    violation(`Could not read zip: ${error.message}`);
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+
+  return result;
+}
+
+// Checksum manifest: SHA-256 of every zip produced in the run, plus the
+// entries of earlier runs whose zips are still in the output directory,
+// written as checksums.json and as a SHA256SUMS file that `sha256sum -c`
+// understands
+function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  const fd = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(1024 * 1024);
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+function readZipPluginVersion(zipPath, pluginName) {
+  let fd;
+  try {
+    fd = fs.openSync(zipPath, "r");
+    const entries = readZipEntries(fd, fs.fstatSync(fd).size);
+    return findZipMainFile(fd, entries, pluginName)?.Version || null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function writeChecksumManifest(buildResults) {
+  const outputPath = path.resolve(CONFIG.outputDir);
+  const artifacts = [];
+
+  Object.values(buildResults.plugins).forEach((pluginResult) => {
+    const zipPath = pluginResult.zipFile && path.resolve(pluginResult.zipFile);
+    if (!zipPath || !fs.existsSync(zipPath)) return;
+
+    try {
+      const artifact = {
+        plugin: pluginResult.name,
+        file: path.relative(outputPath, zipPath).split(path.sep).join("/"),
+        size: fs.statSync(zipPath).size,
+        sha256: hashFile(zipPath),
+        version:
+          pluginResult.zipCheck?.mainFile?.Version ||
+          readZipPluginVersion(zipPath, pluginResult.name),
+        commit: pluginResult.commit || null,
+        dirty: pluginResult.dirty || false,
+      };
+      artifacts.push(artifact);
+      pluginResult.checksum = artifact;
+    } catch (error) {
+      colorLog(
+        `⚠️  Could not hash ${zipPath}: ${error.message}`,
+        "yellow"
+      );
+    }
+  });
+
+  // Zips from earlier runs stay in the output directory (e.g. when a
+  // rebuild fails), so their entries are kept for `verify`
+  const manifestPath = path.join(outputPath, CONFIG.checksumFile);
+  let previousArtifacts = [];
+  try {
+    previousArtifacts = JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+      .artifacts;
+  } catch (error) {
+    // No earlier manifest
+  }
+  const builtFiles = new Set(artifacts.map((artifact) => artifact.file));
+  const keptArtifacts = (previousArtifacts || []).filter(
+    (artifact) =>
+      typeof artifact?.file === "string" &&
+      !builtFiles.has(artifact.file) &&
+      fs.existsSync(path.join(outputPath, artifact.file))
   );
 
-  if (validationResults.incompatiblePlugins.length > 0) {
-    colorLog("\n🚫 Incompatible plugins:", "red");
-    validationResults.incompatiblePlugins.forEach((plugin) => {
-      colorLog(`  • ${plugin}`, "red");
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    algorithm: "sha256",
+    artifacts: [...artifacts, ...keptArtifacts].sort((a, b) =>
+      a.file < b.file ? -1 : a.file > b.file ? 1 : 0
+    ),
+  };
+
+  try {
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(
+      path.join(outputPath, "SHA256SUMS"),
+      manifest.artifacts
+        .map((artifact) => `${artifact.sha256}  ${artifact.file}\n`)
+        .join("")
+    );
+    colorLog(
+      `🔐 Checksums for ${artifacts.length} zip file(s) saved to ${
+        CONFIG.checksumFile
+      } and SHA256SUMS${
+        keptArtifacts.length > 0
+          ? ` (${keptArtifacts.length} kept from earlier runs)`
+          : ""
+      }`,
+      "green"
+    );
+  } catch (error) {
+    colorLog(`⚠️  Could not save checksums: ${error.message}`, "yellow");
+  }
+
+  return manifest;
+}
+
+// Changelog entry of the version a plugin was built at
+function readReleaseNotesEntry(pluginResult) {
+  const mainFile = findMainPluginFile(pluginResult.path, pluginResult.name);
+  const version =
+    pluginResult.checksum?.version ||
+    pluginResult.zipCheck?.mainFile?.Version ||
+    mainFile?.headers.Version ||
+    null;
+  const changelog = readChangelogEntries(pluginResult.path);
+  const entry = version
+    ? changelog.entries.find((candidate) => candidate.version === version)
+    : null;
+
+  return {
+    plugin: pluginResult.name,
+    name:
+      pluginResult.zipCheck?.mainFile?.["Plugin Name"] ||
+      mainFile?.headers["Plugin Name"] ||
+      pluginResult.name,
+    version,
+    date: entry?.date || null,
+    source: entry ? changelog.source : null,
+    changes: entry ? groupChangelogLines(entry.lines) : null,
+  };
+}
+
+// Release notes: the changelog entry of the version built for every
+// successful plugin, grouped by plugin and change type
+function writeReleaseNotes(buildResults) {
+  const outputPath = path.resolve(CONFIG.outputDir);
+  const plugins = [];
+
+  Object.values(buildResults.plugins).forEach((pluginResult) => {
+    if (!pluginResult.success) return;
+    plugins.push(
+      pluginResult.releaseNotes || readReleaseNotesEntry(pluginResult)
+    );
+  });
+
+  const typeOrder = [...Object.keys(CHANGE_TYPES), "Other"];
+  let markdown = `# Release Notes
+
+**Generated:** ${new Date().toLocaleString()}
+
+`;
+  if (plugins.length === 0) {
+    markdown += "No plugins were built successfully.\n";
+  }
+  plugins.forEach((notes) => {
+    markdown += `## ${notes.name}${notes.version ? ` ${notes.version}` : ""}
+
+\`${notes.plugin}\`${notes.date ? ` - ${notes.date}` : ""}
+
+`;
+    if (!notes.changes) {
+      markdown += notes.version
+        ? `_No changelog entry for ${notes.version}._\n\n`
+        : "_No version found._\n\n";
+      return;
+    }
+    typeOrder
+      .filter((type) => notes.changes[type])
+      .forEach((type) => {
+        markdown += `### ${type}\n${notes.changes[type]
+          .map((change) => `- ${change}`)
+          .join("\n")}\n\n`;
+      });
+  });
+
+  const notesJson = { generatedAt: new Date().toISOString(), plugins };
+  const jsonFile = CONFIG.releaseNotesFile.replace(/\.md$/, "") + ".json";
+  try {
+    fs.writeFileSync(path.join(outputPath, CONFIG.releaseNotesFile), markdown);
+    fs.writeFileSync(
+      path.join(outputPath, jsonFile),
+      JSON.stringify(notesJson, null, 2)
+    );
+    colorLog(
+      `📝 Release notes for ${plugins.length} plugin(s) saved to ${CONFIG.releaseNotesFile} and ${jsonFile}`,
+      "green"
+    );
+  } catch (error) {
+    colorLog(`⚠️  Could not save release notes: ${error.message}`, "yellow");
+  }
+
+  const missing = plugins.filter((notes) => !notes.changes);
+  if (missing.length > 0) {
+    colorLog(
+      `⚠️  No changelog entry found for: ${missing
+        .map((notes) => `${notes.plugin}${notes.version ? ` ${notes.version}` : ""}`)
+        .join(", ")}`,
+      "yellow"
+    );
+  }
+
+  return { file: CONFIG.releaseNotesFile, jsonFile, plugins };
+}
+
+// `verify [dir]`: rechecks the zips in an output directory against its
+// checksums.json (or SHA256SUMS). Returns true when everything matches.
+function verifyChecksums(dir) {
+  const outputPath = path.resolve(dir);
+  colorLog(`\n🔐 Verifying checksums in ${outputPath}`, "blue");
+
+  let artifacts;
+  const manifestPath = path.join(outputPath, CONFIG.checksumFile);
+  const sumsPath = path.join(outputPath, "SHA256SUMS");
+  try {
+    if (fs.existsSync(manifestPath)) {
+      artifacts = JSON.parse(fs.readFileSync(manifestPath, "utf8")).artifacts;
+      if (!Array.isArray(artifacts)) {
+        throw new Error(`${CONFIG.checksumFile} has no artifacts list`);
+      }
+    } else if (fs.existsSync(sumsPath)) {
+      artifacts = fs
+        .readFileSync(sumsPath, "utf8")
+        .split(/\r?\n/)
+        .filter(Boolean)
+        .map((line) => {
+          const match = line.match(/^([0-9a-f]{64}) [ *](.+)$/i);
+          if (!match) throw new Error(`Invalid SHA256SUMS line: ${line}`);
+          return { file: match[2], sha256: match[1].toLowerCase() };
+        });
+    } else {
+      colorLog(
+        `❌ No ${CONFIG.checksumFile} or SHA256SUMS found in ${outputPath}`,
+        "red"
+      );
+      colorLog("💡 Checksums are written after each build", "yellow");
+      return false;
+    }
+  } catch (error) {
+    colorLog(`❌ Could not read the checksum manifest: ${error.message}`, "red");
+    return false;
+  }
+
+  let failures = 0;
+  artifacts.forEach((artifact) => {
+    const filePath = path.join(outputPath, artifact.file);
+    if (!fs.existsSync(filePath)) {
+      colorLog(`  ❌ ${artifact.file}: missing`, "red");
+      failures++;
+      return;
+    }
+
+    const size = fs.statSync(filePath).size;
+    if (artifact.size !== undefined && size !== artifact.size) {
+      colorLog(
+        `  ❌ ${artifact.file}: size is ${size} bytes, expected ${artifact.size}`,
+        "red"
+      );
+      failures++;
+      return;
+    }
+
+    if (hashFile(filePath) !== artifact.sha256) {
+      colorLog(`  ❌ ${artifact.file}: checksum mismatch`, "red");
+      failures++;
+      return;
+    }
+
+    colorLog(
+      `  ✅ ${artifact.file}${artifact.version ? ` (v${artifact.version})` : ""}`,
+      "green"
+    );
+  });
+
+  // Zips that no manifest entry covers
+  const listed = new Set(artifacts.map((artifact) => artifact.file));
+  fs.readdirSync(outputPath)
+    .filter((file) => file.endsWith(".zip") && !listed.has(file))
+    .forEach((file) => {
+      colorLog(`  ⚠️  ${file}: not in the manifest`, "yellow");
     });
+
+  if (failures > 0) {
+    colorLog(
+      `\n❌ ${failures} of ${artifacts.length} file(s) failed verification`,
+      "red"
+    );
+    return false;
   }
 
-  return validationResults;
+  colorLog(`\n✅ All ${artifacts.length} file(s) verified`, "green");
+  return true;
 }
 
 // Phase 2: Real-time Building
@@ -388,7 +3065,10 @@ async function buildPluginsRealtime(plugins, validationResults) {
     summary: {
       total: 0,
       successful: 0,
+      warnings: 0,
+      skipped: 0,
       failed: 0,
+      blocked: 0,
     },
   };
 
@@ -398,28 +3078,399 @@ async function buildPluginsRealtime(plugins, validationResults) {
 
   buildResults.summary.total = compatiblePlugins.length;
 
-  for (const plugin of compatiblePlugins) {
-    const pluginResult = await buildPluginRealtime(plugin.path, plugin.name);
-    buildResults.plugins[plugin.name] = pluginResult;
+  const concurrency = Math.min(CONFIG.concurrency, compatiblePlugins.length);
+  if (concurrency > 1) {
+    colorLog(
+      `⚡ Building ${compatiblePlugins.length} plugins with ${concurrency} parallel workers`,
+      "cyan"
+    );
+  }
+
+  const buildCache = loadBuildCache();
+
+  // --resume continues the recorded run, otherwise a new run starts
+  let state = null;
+  if (CONFIG.resume) {
+    state = loadBuildState();
+    if (state) {
+      colorLog(
+        `♻️  Resuming the run started at ${new Date(
+          state.startTime
+        ).toLocaleString()}`,
+        "cyan"
+      );
+      buildResults.startTime = state.startTime;
+      buildResults.resumed = true;
+    } else {
+      colorLog(
+        `⚠️  No previous run state found in ${CONFIG.buildStateFile}, building everything`,
+        "yellow"
+      );
+    }
+  }
+  if (!state) state = createBuildState();
+  const sessionStartTime = new Date();
+  saveBuildState(state);
+
+  const saveProgress = (pluginResult) => {
+    state.plugins[pluginResult.name] = toStateResult(pluginResult);
+    saveBuildState(state);
+  };
+
+  // A plugin starts once the plugins it depends on are done
+  const pluginsByName = new Map(
+    compatiblePlugins.map((plugin) => [plugin.name, plugin])
+  );
+  const pluginResults = await runWithDependencies(
+    compatiblePlugins,
+    concurrency,
+    async (plugin, dependencyResults) => {
+      // Don't build on top of a dependency that failed or was incompatible
+      const blockedBy = [
+        ...(plugin.dependsOn || []).filter(
+          (name) =>
+            validationResults.pluginCommands[name] &&
+            !validationResults.pluginCommands[name].isCompatible
+        ),
+        ...dependencyResults
+          .filter((result) => !result.success)
+          .map((result) => result.name),
+      ];
+      if (blockedBy.length > 0) {
+        colorLog(
+          `\n🚫 ${plugin.name} is blocked by failed dependency: ${blockedBy.join(
+            ", "
+          )}`,
+          "red"
+        );
+        const blockedResult = createBlockedResult(plugin, blockedBy);
+        saveProgress(blockedResult);
+        return blockedResult;
+      }
+
+      const { steps } = resolveBuildSteps(plugin.name, plugin.php);
+      const previous = buildResults.resumed ? state.plugins[plugin.name] : null;
+
+      if (isFinishedStateResult(previous)) {
+        colorLog(
+          `\n♻️  ${plugin.name} was already built in this run, skipping.`,
+          "cyan"
+        );
+        return { ...previous, reused: true };
+      }
+
+      if (!CONFIG.force) {
+        const cached = getUpToDateEntry(plugin, steps, buildCache);
+        if (cached) {
+          colorLog(
+            `\n⏭️  ${plugin.name} is up to date (last built ${new Date(
+              cached.builtAt
+            ).toLocaleString()}), skipping. Use --force to rebuild.`,
+            "cyan"
+          );
+          const upToDateResult = createUpToDateResult(plugin, cached);
+          saveProgress(upToDateResult);
+          return upToDateResult;
+        }
+      }
+
+      const pluginResult = await buildPluginRealtime(plugin.path, plugin.name, {
+        // Prefix output with the plugin name when builds are interleaved
+        prefix: concurrency > 1 ? `[${plugin.name}] ` : "",
+        // A new worktree has none of the files earlier steps created
+        previousResult: plugin.ref ? null : previous,
+        onProgress: saveProgress,
+        ref: plugin.ref,
+        php: plugin.php,
+      });
+
+      recordBuildFingerprint(plugin, steps, pluginResult, buildCache);
+      saveBuildCache(buildCache);
+      // The worktree of a ref build is gone when --resume reuses this
+      // result, so its release notes are read now and kept in the state
+      if (plugin.ref && pluginResult.success) {
+        pluginResult.releaseNotes = readReleaseNotesEntry(pluginResult);
+      }
+      saveProgress(pluginResult);
+      return pluginResult;
+    },
+    (plugin) =>
+      (plugin.dependsOn || [])
+        .map((name) => pluginsByName.get(name))
+        .filter(Boolean)
+  );
 
-    if (pluginResult.success) {
+  // Results are collected in plugin order so the report stays stable
+  pluginResults.forEach((pluginResult) => {
+    buildResults.plugins[pluginResult.name] = pluginResult;
+
+    if (pluginResult.skipped) {
+      buildResults.summary.skipped++;
+    } else if (pluginResult.blocked) {
+      buildResults.summary.blocked++;
+    } else if (pluginResult.status === "warning") {
+      buildResults.summary.warnings++;
+    } else if (pluginResult.success) {
       buildResults.summary.successful++;
     } else {
       buildResults.summary.failed++;
     }
-  }
+  });
 
   buildResults.endTime = new Date().toISOString();
-  buildResults.duration = Math.round(
-    (new Date(buildResults.endTime) - new Date(buildResults.startTime)) / 1000
-  );
+  // A resumed run's duration adds up its sessions, without the time between them
+  buildResults.duration =
+    state.duration +
+    Math.round((new Date(buildResults.endTime) - sessionStartTime) / 1000);
+
+  state.duration = buildResults.duration;
+  saveBuildState(state);
 
   return buildResults;
 }
 
-async function buildPluginRealtime(pluginPath, pluginName) {
-  colorLog(`\n🔨 Building: ${pluginName}`, "blue");
-  colorLog(`📁 Path: ${pluginPath}`, "yellow");
+const FAILURE_POLICIES = ["abort", "continue", "warn"];
+// Steps whose failure only warns unless onFailure says otherwise
+const WARN_BY_DEFAULT_STEPS = ["gruntCss", "gruntJs"];
+
+// onFailure: "abort" stops the plugin build, "continue" runs the remaining
+// steps but fails the plugin, "warn" only records a warning.
+// optional: true is shorthand for onFailure: "warn".
+function getFailurePolicy(step, fallback = "abort") {
+  const onFailure =
+    step.onFailure ||
+    (step.optional !== undefined ? (step.optional ? "warn" : "abort") : fallback);
+
+  if (!FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(
+      `Invalid onFailure "${onFailure}" for step "${
+        step.name || step.command
+      }": use "abort", "continue" or "warn"`
+    );
+  }
+  return onFailure;
+}
+
+// timeout and retryDelay are in seconds
+function getRetrySettings(step, defaults = {}) {
+  const settings = {
+    timeout: step.timeout ?? defaults.timeout ?? 0,
+    retries: step.retries ?? defaults.retries ?? 0,
+    retryDelay: step.retryDelay ?? defaults.retryDelay ?? 5,
+  };
+  const stepName = step.name || step.command;
+
+  if (typeof settings.timeout !== "number" || settings.timeout < 0) {
+    throw new Error(
+      `Invalid timeout for step "${stepName}": must be a number of seconds`
+    );
+  }
+  if (!Number.isInteger(settings.retries) || settings.retries < 0) {
+    throw new Error(
+      `Invalid retries for step "${stepName}": must be a non-negative integer`
+    );
+  }
+  if (typeof settings.retryDelay !== "number" || settings.retryDelay < 0) {
+    throw new Error(
+      `Invalid retryDelay for step "${stepName}": must be a number of seconds`
+    );
+  }
+
+  return settings;
+}
+
+function normalizeBuildStep(step, index) {
+  return {
+    key: step.name || `step_${index}`,
+    cmd: step.command,
+    desc: step.description || step.command,
+    skip: Boolean(step.skip),
+    onFailure: getFailurePolicy(
+      step,
+      WARN_BY_DEFAULT_STEPS.includes(step.name) ? "warn" : "abort"
+    ),
+    ...getRetrySettings(step),
+  };
+}
+
+// Applies a pluginOverrides entry: replace/patch steps by name, add steps,
+// reorder them and skip them, in that order
+function applyStepOverrides(baseSteps, override, pluginName) {
+  let steps = baseSteps.map((step) => ({ ...step }));
+  const findStep = (name) => steps.findIndex((step) => step.key === name);
+  const requireStep = (name, field) => {
+    const index = findStep(name);
+    if (index === -1) {
+      throw new Error(
+        `pluginOverrides.${pluginName}.${field}: unknown step "${name}"`
+      );
+    }
+    return index;
+  };
+
+  Object.entries(override.steps || {}).forEach(([name, patch]) => {
+    const index = requireStep(name, "steps");
+    steps[index] = {
+      ...steps[index],
+      cmd: patch.command ?? steps[index].cmd,
+      desc: patch.description ?? steps[index].desc,
+      skip: patch.skip ?? steps[index].skip,
+      pluginSkip: patch.skip ?? steps[index].pluginSkip,
+      onFailure: getFailurePolicy(
+        { name, ...patch },
+        steps[index].onFailure
+      ),
+      ...getRetrySettings({ name, ...patch }, steps[index]),
+    };
+  });
+
+  (override.addSteps || []).forEach((step) => {
+    if (step.name && findStep(step.name) !== -1) {
+      throw new Error(
+        `pluginOverrides.${pluginName}.addSteps: step "${step.name}" already exists`
+      );
+    }
+    const newStep = normalizeBuildStep(step, steps.length);
+    newStep.pluginSkip = newStep.skip;
+    if (step.after) {
+      steps.splice(requireStep(step.after, "addSteps") + 1, 0, newStep);
+    } else if (step.before) {
+      steps.splice(requireStep(step.before, "addSteps"), 0, newStep);
+    } else {
+      steps.push(newStep);
+    }
+  });
+
+  // Listed steps run first, in the given order, followed by the rest
+  if (override.order) {
+    const ordered = override.order.map((name) => steps[requireStep(name, "order")]);
+    steps = [
+      ...ordered,
+      ...steps.filter((step) => !override.order.includes(step.key)),
+    ];
+  }
+
+  (override.skipSteps || []).forEach((name) => {
+    const index = requireStep(name, "skipSteps");
+    steps[index].skip = true;
+    steps[index].pluginSkip = true;
+  });
+
+  return steps;
+}
+
+// Steps from config (or the defaults) with the plugin's overrides applied,
+// including ones marked skip. pluginSkip marks steps skipped by the
+// plugin's own overrides, which a profile's steps don't turn back on
+function getConfiguredBuildSteps(
+  pluginName = null,
+  customSteps = CONFIG.customBuildSteps
+) {
+  const override = pluginName ? CONFIG.pluginOverrides[pluginName] : null;
+  const steps = override?.buildSteps
+    ? override.buildSteps
+        .map(normalizeBuildStep)
+        .map((step) => ({ ...step, pluginSkip: step.skip }))
+    : getBaseBuildSteps(customSteps);
+
+  return override ? applyStepOverrides(steps, override, pluginName) : steps;
+}
+
+function getBaseBuildSteps(customSteps = CONFIG.customBuildSteps) {
+  if (customSteps && customSteps.length > 0) {
+    return customSteps.map(normalizeBuildStep);
+  }
+
+  // Use default build steps
+  return [
+    {
+      key: "composer",
+      cmd: CONFIG.defaultCommands.composer,
+      desc: "Composer install",
+    },
+    { key: "npm", cmd: CONFIG.defaultCommands.npm, desc: "NPM install" },
+    {
+      key: "gruntCss",
+      cmd: CONFIG.defaultCommands.gruntCss,
+      desc: "Grunt CSS",
+      onFailure: "warn",
+    },
+    {
+      key: "gruntJs",
+      cmd: CONFIG.defaultCommands.gruntJs,
+      desc: "Grunt JS",
+      onFailure: "warn",
+    },
+    {
+      key: "npmBuild",
+      cmd: CONFIG.defaultCommands.npmBuild,
+      desc: "NPM build",
+    },
+    {
+      key: "gruntZip",
+      cmd: CONFIG.defaultCommands.gruntZip,
+      desc: "Grunt ZIP",
+    },
+  ].map((step) => ({
+    onFailure: "abort",
+    ...step,
+    skip: false,
+    ...getRetrySettings({}),
+  }));
+}
+
+// Get the steps to run for a plugin, applying skip flags,
+// --only-steps/--skip-steps, the profile, the packaging method and the
+// PHP binary
+function resolveBuildSteps(pluginName = null, php = null) {
+  const steps = [];
+  const skippedSteps = [];
+
+  for (const step of getConfiguredBuildSteps(pluginName)) {
+    let skipReason = null;
+
+    if (CONFIG.onlySteps) {
+      // --only-steps runs the listed steps even if the config skips them
+      if (!CONFIG.onlySteps.includes(step.key)) {
+        skipReason = "not in --only-steps";
+      }
+    } else if (CONFIG.skipSteps.includes(step.key)) {
+      skipReason = "--skip-steps";
+    } else if (CONFIG.profile?.steps) {
+      // A profile's steps replace the skip flags in buildSteps, but steps
+      // skipped in pluginOverrides stay skipped for that plugin
+      if (!CONFIG.profile.steps.includes(step.key)) {
+        skipReason = `not in profile "${CONFIG.profile.name}"`;
+      } else if (step.pluginSkip) {
+        skipReason = "skipped in pluginOverrides";
+      }
+    } else if (step.skip) {
+      skipReason = "skip: true";
+    }
+
+    // Native packaging replaces the grunt zip step
+    if (
+      !skipReason &&
+      step.key === "gruntZip" &&
+      CONFIG.packaging.method === "native"
+    ) {
+      skipReason = "replaced by native packaging";
+    }
+
+    if (skipReason) {
+      skippedSteps.push({ ...step, reason: skipReason });
+    } else {
+      steps.push({ ...step, cmd: applyPHPBinary(step.cmd, php) });
+    }
+  }
+
+  return { steps, skippedSteps };
+}
+
+async function buildPluginRealtime(pluginPath, pluginName, options = {}) {
+  const prefix = options.prefix || "";
+  colorLog(`\n🔨 Building: ${pluginName}`, "blue", prefix);
+  colorLog(`📁 Path: ${pluginPath}`, "yellow", prefix);
 
   const pluginResult = {
     name: pluginName,
@@ -431,81 +3482,144 @@ async function buildPluginRealtime(pluginPath, pluginName) {
     error: null,
   };
 
-  // Get build steps from config or use defaults
-  let steps;
-  if (CONFIG.customBuildSteps && CONFIG.customBuildSteps.length > 0) {
-    // Use custom build steps from config, filtering out skipped steps
-    steps = CONFIG.customBuildSteps
-      .filter((step) => !step.skip) // Skip steps marked with skip: true
-      .map((step, index) => ({
-        key: step.name || `step_${index}`,
-        cmd: step.command,
-        desc: step.description || step.command,
-      }));
-    
-    // Log skipped steps
-    const skippedSteps = CONFIG.customBuildSteps.filter((step) => step.skip);
-    if (skippedSteps.length > 0) {
-      colorLog(`  ⏭️  Skipped ${skippedSteps.length} build steps:`, "yellow");
-      skippedSteps.forEach((step) => {
-        colorLog(`    • ${step.description || step.name || step.command}`, "yellow");
-      });
+  if (options.ref) {
+    pluginResult.ref = options.ref;
+    colorLog(`📌 Ref: ${options.ref} (temporary worktree)`, "yellow", prefix);
+  }
+
+  // Commit the artifact is built from
+  const gitState = readGitState(pluginPath);
+  if (gitState?.commit) {
+    pluginResult.commit = gitState.commit;
+    pluginResult.dirty = gitState.dirty;
+  }
+
+  if (options.php) {
+    pluginResult.php = { name: options.php.name, version: options.php.version };
+    colorLog(
+      `🐘 PHP: ${options.php.name} ${options.php.version} (${options.php.path})`,
+      "yellow",
+      prefix
+    );
+  }
+
+  const { steps, skippedSteps } = resolveBuildSteps(pluginName, options.php);
+  pluginResult.hasOverride = Boolean(CONFIG.pluginOverrides[pluginName]);
+  pluginResult.effectiveSteps = steps.map((step) => ({
+    name: step.key,
+    command: step.cmd,
+    description: step.desc,
+    onFailure: step.onFailure,
+    timeout: step.timeout,
+    retries: step.retries,
+  }));
+  pluginResult.skippedSteps = skippedSteps.map((step) => ({
+    name: step.key,
+    description: step.desc,
+    reason: step.reason,
+  }));
+
+  if (pluginResult.hasOverride) {
+    colorLog(`  🔧 Using build step overrides for ${pluginName}`, "cyan", prefix);
+  }
+
+  // Log skipped steps
+  if (skippedSteps.length > 0) {
+    colorLog(
+      `  ⏭️  Skipped ${skippedSteps.length} build steps:`,
+      "yellow",
+      prefix
+    );
+    skippedSteps.forEach((step) => {
+      colorLog(`    • ${step.desc} (${step.reason})`, "yellow", prefix);
+    });
+  }
+
+  let aborted = false;
+  let failed = false;
+  pluginResult.warnings = [];
+
+  // --resume: keep the steps that passed in the previous session and restart
+  // from the first step that failed or never ran
+  const previousSteps = options.previousResult?.steps || {};
+  let resumeIndex = 0;
+  while (resumeIndex < steps.length) {
+    const previousStep = previousSteps[steps[resumeIndex].key];
+    if (
+      !previousStep ||
+      previousStep.command !== steps[resumeIndex].cmd ||
+      (!previousStep.success && previousStep.onFailure !== "warn")
+    ) {
+      break;
     }
-  } else {
-    // Use default build steps
-    steps = [
-      {
-        key: "composer",
-        cmd: CONFIG.defaultCommands.composer,
-        desc: "Composer install",
-      },
-      { key: "npm", cmd: CONFIG.defaultCommands.npm, desc: "NPM install" },
-      {
-        key: "gruntCss",
-        cmd: CONFIG.defaultCommands.gruntCss,
-        desc: "Grunt CSS",
-      },
-      { key: "gruntJs", cmd: CONFIG.defaultCommands.gruntJs, desc: "Grunt JS" },
-      {
-        key: "npmBuild",
-        cmd: CONFIG.defaultCommands.npmBuild,
-        desc: "NPM build",
-      },
-      {
-        key: "gruntZip",
-        cmd: CONFIG.defaultCommands.gruntZip,
-        desc: "Grunt ZIP",
-      },
-    ];
+    resumeIndex++;
+  }
+  // Every step passed, so packaging failed: rebuild from the start
+  if (resumeIndex === steps.length) resumeIndex = 0;
+
+  if (resumeIndex > 0) {
+    steps.slice(0, resumeIndex).forEach((step) => {
+      const previousStep = previousSteps[step.key];
+      pluginResult.steps[step.key] = { ...previousStep, resumed: true };
+      if (!previousStep.success) {
+        pluginResult.warnings.push(`${step.desc}: ${previousStep.error}`);
+      }
+    });
+    pluginResult.resumedFrom = steps[resumeIndex].key;
+    colorLog(
+      `  ♻️  Keeping ${resumeIndex} step(s) from the previous session, resuming at ${steps[resumeIndex].desc}`,
+      "cyan",
+      prefix
+    );
   }
 
-  for (const step of steps) {
-    const stepResult = await execCommandRealtime(
-      step.cmd,
+  for (const step of steps.slice(resumeIndex)) {
+    const stepResult = await runBuildStep(
+      step,
       pluginPath,
-      step.desc
+      prefix,
+      getStepLogPath(pluginName, step.key)
     );
     pluginResult.steps[step.key] = {
       command: step.cmd,
       description: step.desc,
       success: stepResult.success,
       error: stepResult.error,
+      exitCode: stepResult.exitCode,
+      timedOut: stepResult.timedOut,
       output: stepResult.output,
       errorOutput: stepResult.errorOutput,
       startTime: stepResult.startTime,
       endTime: stepResult.endTime,
       duration: stepResult.duration,
+      onFailure: step.onFailure,
+      attempts: stepResult.attempts,
+      logFile: stepResult.logFile,
     };
 
-    // Continue with remaining steps even if grunt js or grunt css fails
+    if (options.onProgress) options.onProgress(pluginResult);
+
+    // The step's onFailure policy decides what a failure means for the plugin
     if (!stepResult.success) {
-      if (step.key === "gruntJs" || step.key === "gruntCss") {
-        const stepName = step.key === "gruntJs" ? "Grunt JS" : "Grunt CSS";
-        colorLog(`  ⚠️  ${stepName} failed, but continuing with remaining steps...`, "yellow");
-        pluginResult.error = stepResult.error; // Store the error but don't break
+      if (step.onFailure === "warn") {
+        colorLog(
+          `  ⚠️  ${step.desc} failed, but continuing with remaining steps (onFailure: warn)...`,
+          "yellow",
+          prefix
+        );
+        pluginResult.warnings.push(`${step.desc}: ${stepResult.error}`);
+      } else if (step.onFailure === "continue") {
+        colorLog(
+          `  ❌ ${step.desc} failed, continuing with remaining steps (onFailure: continue)...`,
+          "red",
+          prefix
+        );
+        pluginResult.error = pluginResult.error || stepResult.error;
+        failed = true;
       } else {
-        // For other steps, still break on failure
         pluginResult.error = stepResult.error;
+        failed = true;
+        aborted = true;
         break;
       }
     }
@@ -519,58 +3633,319 @@ async function buildPluginRealtime(pluginPath, pluginName) {
   // Check if grunt zip step was executed (not skipped)
   const gruntZipStepExecuted = steps.some(step => step.key === "gruntZip");
 
-  if (gruntZipStepExecuted) {
-    if (fs.existsSync(sourceZipPath)) {
+  if (CONFIG.packaging.method === "native") {
+    if (failed) {
+      colorLog(
+        `  ⏭️  Native packaging skipped (build ${
+          aborted ? "did not complete" : "failed"
+        })`,
+        "yellow",
+        prefix
+      );
+    } else {
+      const packageResult = packagePluginNative(pluginPath, pluginName, prefix);
+      pluginResult.steps.package = {
+        command: "native zip",
+        description: "Native packaging",
+        success: packageResult.success,
+        error: packageResult.error,
+        startTime: packageResult.startTime,
+        endTime: packageResult.endTime,
+        duration: packageResult.duration,
+        fileCount: packageResult.fileCount,
+        excludeSources: packageResult.excludeSources,
+      };
+
+      if (packageResult.success) {
+        pluginResult.zipFile = packageResult.zipFile;
+      } else {
+        pluginResult.error = packageResult.error;
+        failed = true;
+      }
+    }
+  } else if (gruntZipStepExecuted) {
+    if (failed) {
+      // Don't ship the zip of a failed build
+      colorLog(
+        `  ⏭️  Zip file not moved to the output directory (build failed)`,
+        "yellow",
+        prefix
+      );
+    } else if (fs.existsSync(sourceZipPath)) {
       try {
         fs.copyFileSync(sourceZipPath, destZipPath);
         pluginResult.zipFile = destZipPath;
-        colorLog(`  📦 Zip file moved to: ${destZipPath}`, "cyan");
+        colorLog(`  📦 Zip file moved to: ${destZipPath}`, "cyan", prefix);
         // Clean up original zip file
         fs.unlinkSync(sourceZipPath);
       } catch (error) {
         colorLog(
           `  ⚠️  Warning: Could not move zip file: ${error.message}`,
-          "yellow"
+          "yellow",
+          prefix
         );
       }
     } else {
-      colorLog(`  ⚠️  Warning: Zip file not found: ${zipFile}`, "yellow");
+      colorLog(
+        `  ⚠️  Warning: Zip file not found: ${zipFile}`,
+        "yellow",
+        prefix
+      );
     }
   } else {
-    colorLog(`  ⏭️  Zip file creation skipped (grunt zip step was skipped)`, "yellow");
+    colorLog(
+      `  ⏭️  Zip file creation skipped (grunt zip step was skipped)`,
+      "yellow",
+      prefix
+    );
+  }
+
+  // Inspect the zip before it is shipped
+  if (pluginResult.zipFile && CONFIG.zipChecks.onViolation !== "off") {
+    const zipCheck = inspectPluginZip(pluginResult.zipFile, pluginName);
+    pluginResult.zipCheck = zipCheck;
+
+    if (zipCheck.violations.length === 0) {
+      colorLog(
+        `  🔎 Zip check passed: ${zipCheck.fileCount} files, ${formatFileSize(
+          zipCheck.size
+        )}`,
+        "green",
+        prefix
+      );
+    } else {
+      const failing = CONFIG.zipChecks.onViolation === "fail";
+      colorLog(
+        `  ${failing ? "❌" : "⚠️ "} Zip check found ${
+          zipCheck.violations.length
+        } violation(s):`,
+        failing ? "red" : "yellow",
+        prefix
+      );
+      zipCheck.violations.forEach((message) =>
+        colorLog(`    • ${message}`, failing ? "red" : "yellow", prefix)
+      );
+
+      if (failing) {
+        // Don't ship a zip that failed inspection
+        pluginResult.error =
+          pluginResult.error ||
+          `Zip check failed: ${zipCheck.violations.length} violation(s)`;
+        failed = true;
+        try {
+          fs.unlinkSync(pluginResult.zipFile);
+        } catch (error) {
+          // Already gone
+        }
+        pluginResult.zipFile = null;
+      } else {
+        pluginResult.warnings.push(
+          `Zip check: ${zipCheck.violations.length} violation(s)`
+        );
+      }
+    }
   }
 
   pluginResult.endTime = new Date().toISOString();
-  
-  // Determine success: build is successful if no critical errors occurred
-  // Grunt JS and Grunt CSS failures are not considered critical errors
-  const gruntJsFailed = pluginResult.steps.gruntJs?.success === false;
-  const gruntCssFailed = pluginResult.steps.gruntCss?.success === false;
-  const hasCriticalError = pluginResult.error && !gruntJsFailed && !gruntCssFailed;
-  pluginResult.success = !hasCriticalError;
-
-  // Calculate total plugin build duration
-  pluginResult.totalDuration = Math.round(
-    (new Date(pluginResult.endTime) - new Date(pluginResult.startTime)) / 1000
-  );
 
-  if (pluginResult.success) {
+  // Determine success: failures of "warn" steps don't fail the plugin
+  pluginResult.success = !failed;
+  pluginResult.status = failed
+    ? "failed"
+    : pluginResult.warnings.length > 0
+    ? "warning"
+    : "success";
+
+  // Calculate total plugin build duration, including steps kept by --resume
+  pluginResult.totalDuration = Object.values(pluginResult.steps)
+    .filter((stepData) => stepData.resumed)
+    .reduce(
+      (total, stepData) => total + (stepData.duration || 0),
+      Math.round(
+        (new Date(pluginResult.endTime) - new Date(pluginResult.startTime)) /
+          1000
+      )
+    );
+
+  if (pluginResult.status === "warning") {
+    colorLog(
+      `  ⚠️  ${pluginName} built with ${pluginResult.warnings.length} warning(s) (Total: ${pluginResult.totalDuration}s)`,
+      "yellow",
+      prefix
+    );
+  } else if (pluginResult.success) {
     colorLog(
       `  🎉 ${pluginName} built successfully! (Total: ${pluginResult.totalDuration}s)`,
-      "green"
+      "green",
+      prefix
     );
   } else {
     colorLog(
       `  ❌ ${pluginName} build failed! (Total: ${pluginResult.totalDuration}s)`,
-      "red"
+      "red",
+      prefix
     );
   }
 
   return pluginResult;
 }
 
+// Dry run: the exact steps Phase 2 would run, without running them
+function createBuildPlan(plugins, validationResults, ignored) {
+  const buildCache = loadBuildCache();
+  const planned = new Map();
+
+  const planPlugins = plugins.map((plugin) => {
+    const pluginPlan = {
+      name: plugin.name,
+      path: plugin.path,
+      status: "build",
+      steps: [],
+      skippedSteps: [],
+      packaging: null,
+      dependsOn: (plugin.dependsOn || []).filter((name) => planned.has(name)),
+    };
+    planned.set(plugin.name, pluginPlan);
+
+    if (!validationResults.pluginCommands[plugin.name]?.isCompatible) {
+      pluginPlan.status = "incompatible";
+      return pluginPlan;
+    }
+
+    // Plugins come after their dependencies, so their plans are known
+    const blockedBy = pluginPlan.dependsOn.filter((name) =>
+      ["incompatible", "blocked"].includes(planned.get(name).status)
+    );
+    if (blockedBy.length > 0) {
+      pluginPlan.status = "blocked";
+      pluginPlan.blockedBy = blockedBy;
+      return pluginPlan;
+    }
+    const dependencyRebuilt = pluginPlan.dependsOn.some(
+      (name) => planned.get(name).status === "build"
+    );
+
+    const { steps, skippedSteps } = resolveBuildSteps(plugin.name, plugin.php);
+    pluginPlan.hasOverride = Boolean(CONFIG.pluginOverrides[plugin.name]);
+    pluginPlan.steps = steps;
+    pluginPlan.skippedSteps = skippedSteps;
+
+    if (!CONFIG.force && !dependencyRebuilt) {
+      const cached = getUpToDateEntry(plugin, steps, buildCache);
+      if (cached) {
+        pluginPlan.status = "up-to-date";
+        pluginPlan.lastBuiltAt = cached.builtAt;
+        return pluginPlan;
+      }
+    }
+
+    if (plugin.ref) {
+      pluginPlan.ref = plugin.ref;
+      pluginPlan.commit = plugin.commit;
+    }
+    if (plugin.php) pluginPlan.php = plugin.php;
+
+    const zipFile = path.join(CONFIG.outputDir, `${plugin.name}.zip`);
+    if (CONFIG.packaging.method === "native") {
+      pluginPlan.packaging = `Native packaging → ${zipFile}`;
+    } else if (steps.some((step) => step.key === "gruntZip")) {
+      pluginPlan.packaging = `Move ${plugin.name}.zip → ${zipFile}`;
+    }
+
+    return pluginPlan;
+  });
+
+  return { plugins: planPlugins, ignored };
+}
+
+function printBuildPlan(plan) {
+  colorLog("\n🧪 DRY RUN: Build Plan", "blue");
+  colorLog("======================", "blue");
+
+  plan.plugins.forEach((pluginPlan) => {
+    if (pluginPlan.status === "incompatible") {
+      colorLog(
+        `\n❌ ${pluginPlan.name}: incompatible, would not be built`,
+        "red"
+      );
+      return;
+    }
+    if (pluginPlan.status === "up-to-date") {
+      colorLog(
+        `\n⏭️  ${pluginPlan.name}: up to date, would be skipped (use --force to rebuild)`,
+        "cyan"
+      );
+      return;
+    }
+    if (pluginPlan.status === "blocked") {
+      colorLog(
+        `\n🚫 ${pluginPlan.name}: blocked by incompatible dependency ${pluginPlan.blockedBy.join(
+          ", "
+        )}, would not be built`,
+        "red"
+      );
+      return;
+    }
+
+    colorLog(`\n🔨 ${pluginPlan.name}`, "blue");
+    if (pluginPlan.ref) {
+      colorLog(
+        `📌 In a temporary worktree of ${pluginPlan.ref} (${pluginPlan.commit.slice(
+          0,
+          7
+        )})`,
+        "yellow"
+      );
+    } else {
+      colorLog(`📁 In: ${pluginPlan.path}`, "yellow");
+    }
+    if (pluginPlan.php) {
+      colorLog(
+        `🐘 With PHP ${pluginPlan.php.name} ${pluginPlan.php.version}`,
+        "yellow"
+      );
+    }
+    if (pluginPlan.dependsOn.length > 0) {
+      colorLog(`🔗 After: ${pluginPlan.dependsOn.join(", ")}`, "yellow");
+    }
+    pluginPlan.steps.forEach((step, index) => {
+      const policy =
+        step.onFailure !== "abort" ? `, onFailure: ${step.onFailure}` : "";
+      colorLog(`  ${index + 1}. ${step.cmd}   (${step.desc}${policy})`, "reset");
+    });
+    if (pluginPlan.packaging) {
+      colorLog(`  📦 ${pluginPlan.packaging}`, "cyan");
+    }
+    pluginPlan.skippedSteps.forEach((step) => {
+      colorLog(`  ⏭️  Skipped: ${step.desc} (${step.reason})`, "yellow");
+    });
+  });
+
+  if (plan.ignored.length > 0) {
+    colorLog(`\n🚫 Ignored: ${plan.ignored.join(", ")}`, "yellow");
+  }
+}
+
+function createEmptyBuildResults() {
+  const now = new Date().toISOString();
+  return {
+    startTime: now,
+    endTime: now,
+    duration: 0,
+    plugins: {},
+    summary: {
+      total: 0,
+      successful: 0,
+      warnings: 0,
+      skipped: 0,
+      failed: 0,
+      blocked: 0,
+    },
+  };
+}
+
 // Phase 3: Result Reporting
-function generateResultReport(validationResults, buildResults) {
+function generateResultReport(validationResults, buildResults, plan = null) {
   colorLog("\n📋 PHASE 3: Result Report", "blue");
   colorLog("==========================", "blue");
 
@@ -582,8 +3957,13 @@ function generateResultReport(validationResults, buildResults) {
 
   // Safely handle buildResults
   const builtSuccessfully = buildResults?.summary?.successful || 0;
+  const builtWithWarnings = buildResults?.summary?.warnings || 0;
+  const skippedUpToDate = buildResults?.summary?.skipped || 0;
   const buildFailed = buildResults?.summary?.failed || 0;
+  const blockedByDependency = buildResults?.summary?.blocked || 0;
   const buildDuration = buildResults?.duration || 0;
+  // Step log links are relative to the report
+  const reportDir = path.resolve(CONFIG.outputDir);
 
   // Format build duration in hours, minutes, seconds
   function formatDuration(seconds) {
@@ -600,6 +3980,15 @@ function generateResultReport(validationResults, buildResults) {
     }
   }
 
+  // Release tag status shown for each plugin in the report
+  function formatTagResult(entry) {
+    return entry.status === "created"
+      ? "✅ Created"
+      : entry.status === "failed"
+      ? `❌ ${entry.reason}`
+      : `⏭️ ${entry.reason}`;
+  }
+
   const formattedDuration = formatDuration(buildDuration);
 
   // Format start time for markdown report
@@ -608,11 +3997,23 @@ function generateResultReport(validationResults, buildResults) {
     : "Unknown";
 
   // Generate Markdown report
-  let markdownReport = `# Plugin Build Report
+  let markdownReport = `# Plugin Build Report${plan ? " (Dry Run)" : ""}
 
 **Started:** ${markdownStartTime}  
 **Completed:** ${timestamp}  
-**Build Duration:** ${formattedDuration}
+**Build Duration:** ${formattedDuration}${
+    CONFIG.profile
+      ? `  \n**Profile:** ${CONFIG.profile.name}${
+          CONFIG.profile.chain.length > 1
+            ? ` (extends ${CONFIG.profile.chain.slice(1).join(" → ")})`
+            : ""
+        }`
+      : ""
+  }${
+    buildResults?.resumed
+      ? "  \n**Resumed:** ♻️ Yes (covers every session of this run)"
+      : ""
+  }
 
 ## 📊 Summary
 
@@ -622,10 +4023,17 @@ function generateResultReport(validationResults, buildResults) {
 | Compatible Plugins | ${compatiblePlugins} |
 | Incompatible Plugins | ${incompatiblePlugins} |
 | Built Successfully | ${builtSuccessfully} |
+| Built with Warnings | ${builtWithWarnings} |
+| Skipped (Up to Date) | ${skippedUpToDate} |
 | Build Failed | ${buildFailed} |
+| Blocked by Dependency | ${blockedByDependency} |
 | Success Rate | ${
     compatiblePlugins > 0
-      ? Math.round((builtSuccessfully / compatiblePlugins) * 100)
+      ? Math.round(
+          ((builtSuccessfully + builtWithWarnings + skippedUpToDate) /
+            compatiblePlugins) *
+            100
+        )
       : 0
   }% |
 
@@ -647,7 +4055,44 @@ function generateResultReport(validationResults, buildResults) {
     validationResults.globalCommands.phpVersion
       ? "✅ Available"
       : "❌ Not Found"
-  } | ${validationResults.globalCommands.phpVersion || "N/A"} |
+  } | ${validationResults.globalCommands.phpVersion || "N/A"} |${(
+    validationResults.globalCommands.phpBinaries || []
+  )
+    .map(
+      (binary) =>
+        `\n| PHP (${binary.name}) | ${
+          binary.version ? "✅ Available" : "❌ Not Found"
+        } | ${binary.version || "N/A"} |`
+    )
+    .join("")}${
+    validationResults.globalCommands.nodeVersion !== undefined
+      ? `\n| Node | ${
+          validationResults.globalCommands.nodeVersion
+            ? "✅ Available"
+            : "⚠️ Unknown"
+        } | ${validationResults.globalCommands.nodeVersion || "N/A"} |`
+      : ""
+  }
+
+### Discovered Plugins
+${
+  CONFIG.discoveryMode === "header"
+    ? "Found by their `Plugin Name:` header."
+    : `Folders matching ${CONFIG.pluginPatterns
+        .map((pattern) => `\`${pattern}\``)
+        .join(", ")}.`
+}
+
+| Slug | Name | Version | Text Domain | Root |
+|------|------|---------|-------------|------|
+${Object.entries(validationResults.pluginCommands)
+  .map(
+    ([pluginName, pluginData]) =>
+      `| ${pluginName} | ${pluginData.header?.name || "⚠️ No plugin header"} | ${
+        pluginData.header?.version || "-"
+      } | ${pluginData.header?.textDomain || "-"} | ${pluginData.root || "-"} |`
+  )
+  .join("\n")}
 
 ### Plugin Compatibility
 
@@ -675,7 +4120,23 @@ function generateResultReport(validationResults, buildResults) {
 - **Gruntfile.js:** ${pluginData.hasGruntfile ? "✅ Found" : "❌ Missing"}
 - **PHP Requirement:** ${phpReq} ${
         phpSource ? `(${phpSource})` : ""
-      } ${phpCompat}
+      } ${phpCompat}${
+        pluginData.phpBinary
+          ? `\n- **PHP Binary:** \`${pluginData.phpBinary.name}\` → ${pluginData.phpBinary.path} (PHP ${pluginData.phpBinary.version})${
+              pluginData.phpBinary.pathPHPSteps
+                ? ` ⚠️ ${pluginData.phpBinary.pathPHPSteps.join(", ")} run with the php on the PATH`
+                : ""
+            }`
+          : ""
+      }${
+        pluginData.phpConstraint
+          ? `\n- **PHP Constraint:** ${
+              pluginData.phpConstraint === "invalid"
+                ? "❌ Invalid constraint"
+                : `\`${pluginData.phpConstraint}\``
+            }`
+          : ""
+      }
 - **PHP Compatible:** ${
         pluginData.phpVersionCompatible !== undefined
           ? pluginData.phpVersionCompatible
@@ -683,11 +4144,160 @@ function generateResultReport(validationResults, buildResults) {
             : "❌ No"
           : "⚠️ Unknown"
       }
-
 `;
+
+      const releaseCheck = pluginData.releaseCheck;
+      if (releaseCheck) {
+        if (releaseCheck.issues.length === 0) {
+          markdownReport += `- **Release Readiness:** ✅ Version ${releaseCheck.version} is consistent\n`;
+        } else {
+          markdownReport += `- **Release Readiness:** ${
+            releaseCheck.blocking ? "❌" : "⚠️"
+          } ${releaseCheck.issues.length} issue(s)${
+            releaseCheck.blocking ? " (blocking)" : ""
+          }\n`;
+          releaseCheck.issues.forEach((issue) => {
+            markdownReport += `  - ${issue}\n`;
+          });
+        }
+        if (releaseCheck.versions.length > 0) {
+          markdownReport += `- **Versions Found:** ${releaseCheck.versions
+            .map((entry) => `${entry.source}: ${entry.value}`)
+            .join(", ")}\n`;
+        }
+      }
+
+      const engineCheck = pluginData.engineCheck;
+      if (engineCheck) {
+        markdownReport += `- **Node/npm Engines:** ${
+          engineCheck.compatible
+            ? "✅ Compatible"
+            : engineCheck.blocking
+            ? "❌ Incompatible (blocking)"
+            : "⚠️ Incompatible"
+        }\n`;
+        engineCheck.requirements.forEach((requirement) => {
+          const icon =
+            requirement.status === "ok"
+              ? "✅"
+              : requirement.status === "mismatch" ||
+                requirement.status === "invalid"
+              ? engineCheck.blocking
+                ? "❌"
+                : "⚠️"
+              : "⚠️";
+          markdownReport += `  - ${icon} ${requirement.source}: \`${
+            requirement.range
+          }\`${
+            requirement.interpreted
+              ? ` → \`${requirement.interpreted}\` (current: ${
+                  requirement.current || "unknown"
+                })`
+              : ` (${requirement.message})`
+          }\n`;
+        });
+      }
+
+      if (pluginData.dependsOn) {
+        markdownReport += `- **Depends On:** ${pluginData.dependsOn.join(", ")}\n`;
+      }
+
+      if (pluginData.ref) {
+        markdownReport += pluginData.ref.error
+          ? `- **Git Ref:** ❌ \`${pluginData.ref.ref}\`: ${pluginData.ref.error}\n`
+          : `- **Git Ref:** 📌 \`${pluginData.ref.ref}\` → \`${pluginData.ref.commit.slice(
+              0,
+              7
+            )}\`\n`;
+      }
+
+      const git = pluginData.git;
+      if (git) {
+        markdownReport += git.commit
+          ? `- **Git:** \`${git.branch || "detached HEAD"}\` @ \`${
+              git.shortCommit
+            }\`${git.dirty ? " (dirty)" : ""}\n`
+          : "- **Git:** ⚠️ Unknown\n";
+        git.issues.forEach((issue) => {
+          markdownReport += `  - ${issue.policy === "block" ? "❌" : "⚠️"} ${
+            issue.message
+          }${issue.policy === "block" ? " (blocking)" : ""}\n`;
+        });
+      }
+
+      markdownReport += "\n";
     }
   );
 
+  // Add the build plan for dry runs
+  if (plan) {
+    markdownReport += `## 🧪 Build Plan (Dry Run)
+
+No build commands were run. These are the commands that would run in each plugin directory:
+
+`;
+    plan.plugins.forEach((pluginPlan) => {
+      markdownReport += `### ${pluginPlan.name}\n`;
+      if (pluginPlan.status === "incompatible") {
+        markdownReport += `- **Plan:** ❌ Not built (incompatible)\n\n`;
+        return;
+      }
+      if (pluginPlan.status === "up-to-date") {
+        markdownReport += `- **Plan:** ⏭️ Skipped (up to date, last built ${new Date(
+          pluginPlan.lastBuiltAt
+        ).toLocaleString()})\n\n`;
+        return;
+      }
+      if (pluginPlan.status === "blocked") {
+        markdownReport += `- **Plan:** 🚫 Not built (blocked by incompatible dependency ${pluginPlan.blockedBy.join(
+          ", "
+        )})\n\n`;
+        return;
+      }
+
+      markdownReport += `- **Plan:** 🔨 Build${
+        pluginPlan.hasOverride ? " (plugin override)" : ""
+      }\n- **Directory:** ${
+        pluginPlan.ref
+          ? `temporary worktree of \`${pluginPlan.ref}\` (\`${pluginPlan.commit.slice(
+              0,
+              7
+            )}\`)`
+          : pluginPlan.path
+      }\n\n`;
+      pluginPlan.steps.forEach((step, index) => {
+        const policy =
+          step.onFailure !== "abort" ? ` (onFailure: ${step.onFailure})` : "";
+        const limits = [
+          step.timeout ? `timeout ${step.timeout}s` : "",
+          step.retries ? `${step.retries} retries` : "",
+        ]
+          .filter(Boolean)
+          .join(", ");
+        markdownReport += `${index + 1}. \`${step.cmd}\` - ${step.desc}${policy}${
+          limits ? ` [${limits}]` : ""
+        }\n`;
+      });
+      if (pluginPlan.packaging) {
+        markdownReport += `${pluginPlan.steps.length + 1}. ${pluginPlan.packaging}\n`;
+      }
+      if (pluginPlan.skippedSteps.length > 0) {
+        markdownReport += `\n**Skipped steps:** ${pluginPlan.skippedSteps
+          .map((step) => `${step.desc} (${step.reason})`)
+          .join(", ")}\n`;
+      }
+      markdownReport += "\n";
+    });
+
+    if (plan.ignored.length > 0) {
+      markdownReport += `### 🚫 Ignored Plugins\n\n`;
+      plan.ignored.forEach((plugin) => {
+        markdownReport += `- ${plugin}\n`;
+      });
+      markdownReport += "\n";
+    }
+  }
+
   // Add build results
   markdownReport += `## 🚀 Build Results
 
@@ -696,44 +4306,255 @@ function generateResultReport(validationResults, buildResults) {
   if (Object.keys(buildResults.plugins).length > 0) {
     Object.entries(buildResults.plugins).forEach(
       ([pluginName, pluginResult]) => {
-        const status = pluginResult.success ? "✅ Success" : "❌ Failed";
-        const duration = Math.round(
-          (new Date(pluginResult.endTime) - new Date(pluginResult.startTime)) /
-            1000
-        );
+        if (pluginResult.skipped) {
+          markdownReport += `### ${pluginName}
+- **Status:** ⏭️ Skipped (up to date)${
+            pluginResult.reused ? " in an earlier session of this run" : ""
+          }
+- **Last Built:** ${new Date(pluginResult.lastBuiltAt).toLocaleString()}
+- **Zip File:** ${
+            pluginResult.zipFile ? `✅ ${pluginResult.zipFile}` : "➖ None"
+          }${
+            pluginResult.commit
+              ? `\n- **Commit:** \`${pluginResult.commit}\`${
+                  pluginResult.dirty ? " ⚠️ (with uncommitted changes)" : ""
+                }`
+              : ""
+          }${
+            pluginResult.checksum
+              ? `\n- **SHA-256:** \`${pluginResult.checksum.sha256}\``
+              : ""
+          }${
+            pluginResult.tag
+              ? `\n- **Tag:** ${
+                  pluginResult.tag.tag ? `\`${pluginResult.tag.tag}\` ` : ""
+                }${formatTagResult(pluginResult.tag)}`
+              : ""
+          }
+
+`;
+          return;
+        }
+
+        if (pluginResult.blocked) {
+          markdownReport += `### ${pluginName}
+- **Status:** 🚫 Blocked by failed dependency: ${pluginResult.blockedBy.join(
+            ", "
+          )}
+- **Zip File:** ❌ Not created
+
+`;
+          return;
+        }
+
+        const status =
+          pluginResult.status === "warning"
+            ? "⚠️ Succeeded with warnings"
+            : pluginResult.success
+            ? "✅ Success"
+            : "❌ Failed";
+        const duration =
+          pluginResult.totalDuration ??
+          Math.round(
+            (new Date(pluginResult.endTime) -
+              new Date(pluginResult.startTime)) /
+              1000
+          );
         const pluginFormattedDuration = formatDuration(duration);
+        const resumedStep = pluginResult.resumedFrom
+          ? pluginResult.steps[pluginResult.resumedFrom]
+          : null;
+        const resumeNote = pluginResult.reused
+          ? "- **Resumed:** ♻️ Built in an earlier session of this run\n"
+          : resumedStep
+          ? `- **Resumed:** ♻️ Restarted at ${resumedStep.description}\n`
+          : "";
 
         markdownReport += `### ${pluginName}
 - **Status:** ${status}
-- **Total Duration:** ${pluginFormattedDuration} (from composer install to grunt zip)
+${resumeNote}${
+          pluginResult.ref
+            ? `- **Ref:** 📌 \`${pluginResult.ref}\` (built in a temporary worktree)\n`
+            : ""
+        }${
+          pluginResult.php
+            ? `- **PHP:** 🐘 \`${pluginResult.php.name}\` (${pluginResult.php.version})\n`
+            : ""
+        }- **Total Duration:** ${pluginFormattedDuration} (from composer install to grunt zip)
 - **Zip File:** ${
           pluginResult.zipFile ? `✅ ${pluginResult.zipFile}` : "❌ Not created"
+        }${
+          pluginResult.commit
+            ? `\n- **Commit:** \`${pluginResult.commit}\`${
+                pluginResult.dirty ? " ⚠️ (with uncommitted changes)" : ""
+              }`
+            : ""
+        }${
+          pluginResult.checksum
+            ? `\n- **SHA-256:** \`${pluginResult.checksum.sha256}\` (${formatFileSize(
+                pluginResult.checksum.size
+              )}${
+                pluginResult.checksum.version
+                  ? `, v${pluginResult.checksum.version}`
+                  : ""
+              })`
+            : ""
+        }${
+          pluginResult.tag
+            ? `\n- **Tag:** ${
+                pluginResult.tag.tag ? `\`${pluginResult.tag.tag}\` ` : ""
+              }${formatTagResult(pluginResult.tag)}`
+            : ""
         }
 - **Error:** ${pluginResult.error || "None"}
+${(pluginResult.warnings || [])
+  .map((warning) => `- **Warning:** ${warning}\n`)
+  .join("")}
+#### Effective Build Steps${pluginResult.hasOverride ? " (plugin override)" : ""}
+`;
+
+        (pluginResult.effectiveSteps || []).forEach((step, index) => {
+          const policy =
+            step.onFailure && step.onFailure !== "abort"
+              ? ` (onFailure: ${step.onFailure})`
+              : "";
+          const limits = [
+            step.timeout ? `timeout ${step.timeout}s` : "",
+            step.retries ? `${step.retries} retries` : "",
+          ]
+            .filter(Boolean)
+            .join(", ");
+          markdownReport += `${index + 1}. \`${step.command}\` - ${
+            step.description
+          }${policy}${limits ? ` [${limits}]` : ""}\n`;
+        });
+        (pluginResult.skippedSteps || []).forEach((step) => {
+          markdownReport += `- ⏭️ Skipped: ${step.description} (${step.reason})\n`;
+        });
 
+        markdownReport += `
 #### Build Steps Timing
 `;
 
         Object.entries(pluginResult.steps).forEach(([stepName, stepData]) => {
-          const stepStatus = stepData.success ? "✅" : "❌";
+          const stepStatus = stepData.success
+            ? "✅"
+            : stepData.onFailure === "warn"
+            ? "⚠️"
+            : "❌";
           const stepDuration = stepData.duration
             ? ` (${stepData.duration}s)`
             : "";
+          const stepPolicy =
+            !stepData.success && stepData.onFailure
+              ? ` (onFailure: ${stepData.onFailure})`
+              : "";
           markdownReport += `- **${stepData.description}:** ${stepStatus} ${
             stepData.success ? "Completed" : "Failed"
-          }${stepDuration}\n`;
+          }${stepPolicy}${stepDuration}${
+            stepData.resumed ? " ♻️ (previous session)" : ""
+          }\n`;
           if (!stepData.success && stepData.error) {
             markdownReport += `  - Error: ${stepData.error}\n`;
           }
+          if (stepData.logFile) {
+            const logLink = path
+              .relative(reportDir, stepData.logFile)
+              .split(path.sep)
+              .join("/");
+            markdownReport += `  - Log: [${logLink}](${encodeURI(logLink)})\n`;
+          }
+          if (stepData.attempts && stepData.attempts.length > 1) {
+            stepData.attempts.forEach((attempt) => {
+              const outcome = attempt.success
+                ? "✅ Exit code 0"
+                : attempt.timedOut
+                ? `⏱️ ${attempt.error}`
+                : `❌ ${attempt.error}`;
+              markdownReport += `  - Attempt ${attempt.attempt}: ${outcome} (${attempt.duration}s)\n`;
+            });
+          }
+          if (
+            !stepData.success &&
+            stepData.logFile &&
+            CONFIG.logTailLines > 0
+          ) {
+            const tail = readLogTail(stepData.logFile, CONFIG.logTailLines);
+            if (tail.length > 0) {
+              // The fence must be longer than any backtick run in the output
+              const longestRun = Math.max(
+                0,
+                ...tail.flatMap((line) =>
+                  (line.match(/`+/g) || []).map((run) => run.length)
+                )
+              );
+              const fence = "`".repeat(Math.max(3, longestRun + 1));
+              markdownReport += `\n  Last ${tail.length} lines of output:\n\n  ${fence}\n${tail
+                .map((line) => `  ${line}`)
+                .join("\n")}\n  ${fence}\n\n`;
+            }
+          }
         });
 
+        const zipCheck = pluginResult.zipCheck;
+        if (zipCheck) {
+          const size = formatFileSize(zipCheck.size);
+          const mainFile = zipCheck.mainFile
+            ? `, main file ${zipCheck.mainFile.file}${
+                zipCheck.mainFile.Version ? ` v${zipCheck.mainFile.Version}` : ""
+              }`
+            : "";
+          markdownReport += `
+#### Zip Check
+`;
+          if (zipCheck.violations.length === 0) {
+            markdownReport += `- ✅ Passed (${zipCheck.fileCount} files, ${size}${mainFile})\n`;
+          } else {
+            const failing = CONFIG.zipChecks.onViolation === "fail";
+            markdownReport += `- ${failing ? "❌" : "⚠️"} ${
+              zipCheck.violations.length
+            } violation(s)${failing ? " (zip removed)" : ""} (${
+              zipCheck.fileCount
+            } files, ${size}${mainFile})\n`;
+            zipCheck.violations.forEach((message) => {
+              markdownReport += `  - ${message}\n`;
+            });
+          }
+        }
+
         markdownReport += "\n";
       }
     );
   } else {
-    markdownReport += `No plugins were built (all were incompatible).
+    markdownReport += plan
+      ? `No plugins were built (dry run).
+
+`
+      : `No plugins were built (all were incompatible).
+
+`;
+  }
+
+  // Add release tags section
+  if (buildResults?.tags) {
+    markdownReport += `## 🏷️ Release Tags
 
 `;
+    if (buildResults.tags.length === 0) {
+      markdownReport += "No successful builds to tag.\n\n";
+    } else {
+      markdownReport += `| Plugin | Tag | Commit | Result |
+|--------|-----|--------|--------|
+`;
+      buildResults.tags.forEach((entry) => {
+        markdownReport += `| ${entry.plugin} | ${
+          entry.tag ? `\`${entry.tag}\`` : "-"
+        } | ${entry.commit ? `\`${entry.commit.slice(0, 7)}\`` : "-"} | ${
+          formatTagResult(entry)
+        } |\n`;
+      });
+      markdownReport += "\n";
+    }
   }
 
   // Add incompatible plugins section
@@ -749,15 +4570,18 @@ The following plugins could not be built due to compatibility issues:
     markdownReport += "\n";
   }
 
-  // Add performance analysis section
-  if (Object.keys(buildResults.plugins).length > 0) {
+  // Add performance analysis section (up to date plugins were not built)
+  const builtPluginEntries = Object.entries(buildResults.plugins).filter(
+    ([, result]) => !result.skipped && !result.blocked
+  );
+  if (builtPluginEntries.length > 0) {
     markdownReport += `## 📊 Performance Analysis
 
 ### Plugin Build Times Comparison
 `;
 
     // Sort plugins by build time for analysis
-    const pluginTimes = Object.entries(buildResults.plugins)
+    const pluginTimes = builtPluginEntries
       .map(([name, result]) => ({
         name,
         duration: result.totalDuration || 0,
@@ -807,7 +4631,7 @@ The following plugins could not be built due to compatibility issues:
 
     // Analyze step timings across all plugins
     const stepStats = {};
-    Object.values(buildResults.plugins).forEach((plugin) => {
+    builtPluginEntries.forEach(([, plugin]) => {
       Object.entries(plugin.steps).forEach(([stepName, stepData]) => {
         if (!stepStats[stepName]) {
           stepStats[stepName] = {
@@ -848,13 +4672,41 @@ The following plugins could not be built due to compatibility issues:
   markdownReport += `## 📁 Output Files
 
 - **Zip Files:** ${path.resolve(CONFIG.outputDir)}
-- **Report File:** ${path.resolve(CONFIG.outputDir, CONFIG.resultFile)}
+- **Report File:** ${path.resolve(CONFIG.outputDir, CONFIG.resultFile)}${
+    buildResults?.checksums
+      ? `\n- **Checksums:** [${CONFIG.checksumFile}](${CONFIG.checksumFile}), [SHA256SUMS](SHA256SUMS) (${buildResults.checksums.artifacts.length} zip files)`
+      : ""
+  }${
+    buildResults?.releaseNotes
+      ? `\n- **Release Notes:** [${buildResults.releaseNotes.file}](${buildResults.releaseNotes.file}), [${buildResults.releaseNotes.jsonFile}](${buildResults.releaseNotes.jsonFile}) (${buildResults.releaseNotes.plugins.length} plugins)`
+      : ""
+  }
 
 ## 🔧 Build Configuration
 
-- **Plugins Path:** ${path.resolve(CONFIG.pluginsPath)}
+- **Plugins Path:** ${getPluginRoots().join(", ")}
 - **Output Directory:** ${path.resolve(CONFIG.outputDir)}
-- **Build Steps:** ${CONFIG.customBuildSteps ? "Custom" : "Default"}
+- **Build Steps:** ${CONFIG.customBuildSteps ? "Custom" : "Default"}${
+    CONFIG.profile?.steps
+      ? ` (profile runs: ${CONFIG.profile.steps.join(", ")})`
+      : ""
+  }
+- **Packaging:** ${
+    CONFIG.packaging.method === "native" ? "Native zip" : "grunt zip"
+  }
+- **Concurrency:** ${CONFIG.concurrency}
+- **Step Logs:** ${path.resolve(CONFIG.outputDir, CONFIG.logsDir)}
+- **Zip Checks:** ${CONFIG.zipChecks.onViolation}${
+    CONFIG.zipChecks.onViolation !== "off"
+      ? ` (forbidden: ${CONFIG.zipChecks.forbidden.join(", ") || "none"}; required: ${
+          CONFIG.zipChecks.required.join(", ") || "none"
+        }; max size: ${
+          CONFIG.zipChecks.maxSizeMB > 0
+            ? `${CONFIG.zipChecks.maxSizeMB} MB`
+            : "none"
+        })`
+      : ""
+  }
 
 ---
 
@@ -870,10 +4722,42 @@ The following plugins could not be built due to compatibility issues:
     colorLog(`❌ Error saving result report: ${error.message}`, "red");
   }
 
+  if (plan) {
+    const planned = (status) =>
+      plan.plugins.filter((pluginPlan) => pluginPlan.status === status).length;
+    colorLog("\n📊 DRY RUN SUMMARY", "blue");
+    colorLog("=================", "blue");
+    colorLog(`🔨 Would build: ${planned("build")}`, "green");
+    colorLog(`⏭️  Up to date: ${planned("up-to-date")}`, "cyan");
+    colorLog(`❌ Incompatible: ${planned("incompatible")}`, "red");
+    if (planned("blocked") > 0) {
+      colorLog(`🚫 Blocked by dependency: ${planned("blocked")}`, "red");
+    }
+    colorLog(`🚫 Ignored: ${plan.ignored.length}`, "yellow");
+
+    return {
+      timestamp,
+      totalPlugins,
+      compatiblePlugins,
+      incompatiblePlugins,
+      builtSuccessfully,
+      builtWithWarnings,
+      skippedUpToDate,
+      buildFailed,
+      blockedByDependency,
+      buildDuration,
+      profile: CONFIG.profile?.name || null,
+    };
+  }
+
   // Calculate success rate
   const successRate =
     compatiblePlugins > 0
-      ? Math.round((builtSuccessfully / compatiblePlugins) * 100)
+      ? Math.round(
+          ((builtSuccessfully + builtWithWarnings + skippedUpToDate) /
+            compatiblePlugins) *
+            100
+        )
       : 0;
 
   // Display summary in table format
@@ -889,11 +4773,15 @@ The following plugins could not be built due to compatibility issues:
   const tableData = [
     ["📅 Started at", startTimeFormatted],
     ["📅 Completed at", timestamp],
+    ...(CONFIG.profile ? [["🎯 Profile", CONFIG.profile.name]] : []),
     ["📦 Total plugins", totalPlugins.toString()],
     ["✅ Compatible plugins", compatiblePlugins.toString()],
     ["❌ Incompatible plugins", incompatiblePlugins.toString()],
     ["🚀 Built successfully", builtSuccessfully.toString()],
+    ["⚠️  Built with warnings", builtWithWarnings.toString()],
+    ["⏭️  Skipped (up to date)", skippedUpToDate.toString()],
     ["💥 Build failed", buildFailed.toString()],
+    ["🚫 Blocked by dependency", blockedByDependency.toString()],
     ["📈 Success rate", `${successRate}%`],
     ["⏱️  Total build time", formattedDuration],
     ["📁 Zip files location", path.basename(CONFIG.outputDir)],
@@ -916,11 +4804,14 @@ The following plugins could not be built due to compatibility issues:
     // Color coding for different rows
     let rowColor = "white";
     if (label.includes("✅") || label.includes("🚀")) rowColor = "green";
-    if (label.includes("❌") || label.includes("💥")) rowColor = "red";
+    if (label.includes("❌") || label.includes("💥") || label.includes("🚫"))
+      rowColor = "red";
     if (label.includes("📈"))
       rowColor =
         successRate === 100 ? "green" : successRate >= 80 ? "yellow" : "red";
     if (label.includes("⏱️")) rowColor = "yellow";
+    if (label.includes("⏭️")) rowColor = "cyan";
+    if (label.includes("⚠️")) rowColor = "yellow";
     if (
       label.includes("📅") ||
       label.includes("📦") ||
@@ -938,6 +4829,21 @@ The following plugins could not be built due to compatibility issues:
   colorLog("\n📁 File Locations:", "cyan");
   colorLog(`  • Zip files: ${path.resolve(CONFIG.outputDir)}`, "cyan");
   colorLog(`  • Report: ${outputReportPath}`, "cyan");
+  if (buildResults?.checksums) {
+    colorLog(
+      `  • Checksums: ${path.resolve(CONFIG.outputDir, CONFIG.checksumFile)}`,
+      "cyan"
+    );
+  }
+  if (buildResults?.releaseNotes) {
+    colorLog(
+      `  • Release notes: ${path.resolve(
+        CONFIG.outputDir,
+        CONFIG.releaseNotesFile
+      )}`,
+      "cyan"
+    );
+  }
 
   return {
     timestamp,
@@ -945,24 +4851,70 @@ The following plugins could not be built due to compatibility issues:
     compatiblePlugins,
     incompatiblePlugins,
     builtSuccessfully,
+    builtWithWarnings,
+    skippedUpToDate,
     buildFailed,
+    blockedByDependency,
     buildDuration,
+    profile: CONFIG.profile?.name || null,
   };
 }
 
+// pluginsPath is one directory or a list of them, relative to the
+// current directory
+function getPluginRoots() {
+  return [].concat(CONFIG.pluginsPath).map((root) => path.resolve(root));
+}
+
 function getPluginDirectories(pluginList = null, ignoreList = []) {
-  const pluginsDir = path.resolve(CONFIG.pluginsPath);
+  const roots = getPluginRoots();
+  const entries = [];
 
-  if (!fs.existsSync(pluginsDir)) {
-    throw new Error(`Plugins directory not found: ${pluginsDir}`);
+  for (const root of roots) {
+    if (!fs.existsSync(root)) {
+      throw new Error(`Plugins directory not found: ${root}`);
+    }
+    fs.readdirSync(root, { withFileTypes: true }).forEach((entry) =>
+      entries.push({
+        name: entry.name,
+        root,
+        dir: path.join(root, entry.name),
+        isDirectory: entry.isDirectory(),
+      })
+    );
   }
 
-  const entries = fs.readdirSync(pluginsDir, { withFileTypes: true });
   let filteredEntries = entries.filter(
-    (entry) => entry.isDirectory() && CONFIG.pluginPattern.test(entry.name)
+    (entry) =>
+      entry.isDirectory &&
+      (CONFIG.discoveryMode === "header"
+        ? !entry.name.startsWith(".")
+        : matchesPluginPatterns(entry.name))
   );
 
+  // Read the plugin header of every candidate. Header discovery keeps only
+  // the folders that have one
+  filteredEntries.forEach((entry) => {
+    const mainFile = findMainPluginFile(entry.dir, entry.name);
+    entry.header = mainFile
+      ? {
+          file: mainFile.file,
+          name: mainFile.headers["Plugin Name"],
+          version: mainFile.headers["Version"] || null,
+          textDomain: mainFile.headers["Text Domain"] || null,
+          requiresPlugins: (mainFile.headers["Requires Plugins"] || "")
+            .split(",")
+            .map((slug) => slug.trim())
+            .filter(Boolean),
+        }
+      : null;
+  });
+  if (CONFIG.discoveryMode === "header") {
+    filteredEntries = filteredEntries.filter((entry) => entry.header);
+  }
+
   // Apply ignore list first
+  const ignored = [];
   if (ignoreList && ignoreList.length > 0) {
     const beforeIgnore = filteredEntries.length;
     filteredEntries = filteredEntries.filter((entry) => 
@@ -973,6 +4925,7 @@ function getPluginDirectories(pluginList = null, ignoreList = []) {
       colorLog(`🚫 Ignored ${beforeIgnore - afterIgnore} plugins:`, "yellow");
       ignoreList.forEach((plugin) => {
         if (entries.some(entry => entry.name === plugin)) {
+          ignored.push(plugin);
           colorLog(`  • ${plugin}`, "yellow");
         }
       });
@@ -985,7 +4938,7 @@ function getPluginDirectories(pluginList = null, ignoreList = []) {
       pluginList.includes(entry.name)
     );
 
-    // Additional validation: ensure all plugins in the list exist and have correct prefix
+    // Additional validation: ensure all plugins in the list exist and match the discovery settings
     const missingPlugins = pluginList.filter(
       (plugin) => !filteredEntries.some((entry) => entry.name === plugin)
     );
@@ -994,29 +4947,476 @@ function getPluginDirectories(pluginList = null, ignoreList = []) {
       colorLog(`❌ Plugins not found in directory:`, "red");
       missingPlugins.forEach((plugin) => colorLog(`  • ${plugin}`, "red"));
       colorLog(
-        `💡 Make sure the plugin directories exist and have the correct 'user-registration-' prefix`,
+        CONFIG.discoveryMode === "header"
+          ? `💡 Make sure the plugin directories exist and have a main PHP file with a 'Plugin Name:' header`
+          : `💡 Make sure the plugin directories exist and match ${CONFIG.pluginPatterns.join(
+              ", "
+            )}`,
         "yellow"
       );
       throw new Error(`Missing plugins: ${missingPlugins.join(", ")}`);
     }
     
     colorLog(`📋 Processing ${filteredEntries.length} specified plugins:`, "blue");
-    filteredEntries.forEach((entry) => colorLog(`  • ${entry.name}`, "yellow"));
   } else {
     // If no specific plugins listed, process all plugins (except ignored ones)
     colorLog(`📋 Processing all plugins (${filteredEntries.length} found, ${ignoreList.length} ignored):`, "blue");
-    filteredEntries.forEach((entry) => colorLog(`  • ${entry.name}`, "yellow"));
   }
 
-  return filteredEntries.map((entry) => ({
+  // The same slug in two roots would be built into the same zip
+  const duplicates = [
+    ...new Set(
+      filteredEntries
+        .map((entry) => entry.name)
+        .filter((name, index, names) => names.indexOf(name) !== index)
+    ),
+  ];
+  if (duplicates.length > 0) {
+    colorLog(`❌ Plugins found in more than one plugins path:`, "red");
+    duplicates.forEach((name) =>
+      colorLog(
+        `  • ${name}: ${filteredEntries
+          .filter((entry) => entry.name === name)
+          .map((entry) => entry.root)
+          .join(", ")}`,
+        "red"
+      )
+    );
+    colorLog(
+      `💡 Remove the extra copies, or take their directory out of pluginsPath`,
+      "yellow"
+    );
+    throw new Error(`Duplicate plugins: ${duplicates.join(", ")}`);
+  }
+
+  filteredEntries.forEach((entry) => {
+    const header = entry.header;
+    colorLog(
+      `  • ${entry.name}${
+        header
+          ? ` - ${header.name}${header.version ? ` ${header.version}` : ""}${
+              header.textDomain ? ` (text domain: ${header.textDomain})` : ""
+            }`
+          : " (no plugin header found)"
+      }${roots.length > 1 ? ` [${entry.root}]` : ""}`,
+      "yellow"
+    );
+  });
+
+  const plugins = filteredEntries.map((entry) => ({
     name: entry.name,
-    path: path.join(pluginsDir, entry.name),
+    path: entry.dir,
+    root: entry.root,
+    header: entry.header,
   }));
+
+  return { plugins, ignored };
+}
+
+// Dependencies come from the "dependsOn" map in plugin-list.json and the
+// WordPress "Requires Plugins" header. Plugins are reordered so that every
+// plugin comes after the plugins of this run it depends on. Returns false
+// when the dependencies form a cycle.
+function orderPluginsByDependencies(plugins, dependsOn = {}) {
+  const byName = new Map(plugins.map((plugin) => [plugin.name, plugin]));
+
+  plugins.forEach((plugin) => {
+    plugin.dependsOn = [
+      ...new Set([
+        ...(dependsOn[plugin.name] || []),
+        ...(plugin.header?.requiresPlugins || []),
+      ]),
+    ].filter((name) => name !== plugin.name);
+  });
+  const inRun = (plugin) => plugin.dependsOn.filter((name) => byName.has(name));
+
+  // Kahn's algorithm, taking the earliest ready plugin to keep the
+  // directory order where dependencies allow it
+  const ordered = [];
+  const remaining = [...plugins];
+  while (remaining.length > 0) {
+    const index = remaining.findIndex((plugin) =>
+      inRun(plugin).every((name) => ordered.includes(byName.get(name)))
+    );
+    if (index === -1) break;
+    ordered.push(...remaining.splice(index, 1));
+  }
+
+  if (remaining.length > 0) {
+    // Follow dependencies from a leftover plugin until one repeats
+    const cycle = [remaining[0].name];
+    let current = remaining[0];
+    for (;;) {
+      const next = inRun(current).find((name) =>
+        remaining.includes(byName.get(name))
+      );
+      const seenAt = cycle.indexOf(next);
+      cycle.push(next);
+      if (seenAt !== -1) {
+        cycle.splice(0, seenAt);
+        break;
+      }
+      current = byName.get(next);
+    }
+    colorLog(`❌ Circular plugin dependency: ${cycle.join(" → ")}`, "red");
+    colorLog(
+      `💡 Check "dependsOn" in ${CONFIG.pluginListFile} and the "Requires Plugins" headers of these plugins`,
+      "yellow"
+    );
+    return false;
+  }
+
+  plugins.splice(0, plugins.length, ...ordered);
+
+  const dependents = plugins.filter((plugin) => inRun(plugin).length > 0);
+  if (dependents.length > 0) {
+    colorLog(`🔗 Build order (dependencies first):`, "blue");
+    plugins.forEach((plugin) =>
+      colorLog(
+        `  • ${plugin.name}${
+          inRun(plugin).length > 0 ? ` (after ${inRun(plugin).join(", ")})` : ""
+        }`,
+        "yellow"
+      )
+    );
+  }
+
+  return true;
+}
+
+// Refs are passed to git as arguments; reject anything that looks like an option
+function isValidGitRef(ref) {
+  return typeof ref === "string" && /^[\w][\w./@{}^~-]*$/.test(ref);
+}
+
+function matchesPluginPatterns(name) {
+  return CONFIG.pluginPatterns.some((pattern) =>
+    new RegExp(`^${globToRegExp(pattern)}$`).test(name)
+  );
+}
+
+function validatePluginNames(names, label, source) {
+  // Header discovery accepts any folder name, the header is checked later
+  const invalidNames = names.filter((plugin) =>
+    CONFIG.discoveryMode === "header"
+      ? !/^\w[\w.-]*$/.test(plugin)
+      : !matchesPluginPatterns(plugin)
+  );
+  if (invalidNames.length === 0) return true;
+
+  colorLog(
+    `❌ Invalid ${label} names found (${
+      CONFIG.discoveryMode === "header"
+        ? "must be plugin folder names"
+        : `must match ${CONFIG.pluginPatterns.join(", ")}`
+    }):`,
+    "red"
+  );
+  invalidNames.forEach((plugin) => colorLog(`  • ${plugin}`, "red"));
+  colorLog(`💡 Please fix the ${label} names in ${source}`, "yellow");
+  return false;
+}
+
+// Config validation against plugin-list.schema.json. Supports the parts of
+// JSON Schema the schema uses: type, enum, properties, required,
+// additionalProperties, items, minItems, minimum, minLength, pattern,
+// oneOf and local $refs.
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Closest candidate for a misspelled key or value, if any is close enough
+// (or one of them is a prefix of the other, like "warning" for "warn")
+function suggestName(name, candidates) {
+  const lower = String(name).toLowerCase();
+  const prefixMatch = candidates.find((candidate) => {
+    const other = String(candidate).toLowerCase();
+    return (
+      lower.length >= 3 &&
+      other.length >= 3 &&
+      (lower.startsWith(other) || other.startsWith(lower))
+    );
+  });
+  if (prefixMatch !== undefined) return prefixMatch;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(lower, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best !== null &&
+    bestDistance <= Math.max(2, Math.floor(lower.length / 3))
+    ? best
+    : null;
+}
+
+function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+  const actual = getJsonType(value);
+  return [].concat(type).some(
+    (expected) =>
+      expected === actual || (expected === "number" && actual === "integer")
+  );
+}
+
+function describeSchemaType(type) {
+  const names = {
+    object: "an object",
+    array: "a list",
+    string: "a string",
+    boolean: "true or false",
+    integer: "a whole number",
+    number: "a number",
+    null: "null",
+  };
+  return [].concat(type).map((name) => names[name]).join(" or ");
+}
+
+function joinJsonPath(jsonPath, key) {
+  if (typeof key === "number") return `${jsonPath}[${key}]`;
+  return jsonPath ? `${jsonPath}.${key}` : key;
+}
+
+function resolveSchemaRef(schema, rootSchema) {
+  return schema.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, part) => node?.[part], rootSchema);
+}
+
+// Returns every problem as { path, message }
+function validateAgainstSchema(value, schema, rootSchema, jsonPath = "") {
+  if (schema.$ref) {
+    const target = resolveSchemaRef(schema, rootSchema);
+    if (!target) throw new Error(`Unknown schema $ref ${schema.$ref}`);
+    return validateAgainstSchema(value, target, rootSchema, jsonPath);
+  }
+
+  const problem = (message) => [{ path: jsonPath || "(root)", message }];
+  const shown = JSON.stringify(value);
+
+  // Pick the branch whose type fits, so its errors are the useful ones
+  if (schema.oneOf) {
+    const branches = schema.oneOf.map((branch) =>
+      branch.$ref ? resolveSchemaRef(branch, rootSchema) : branch
+    );
+    const fitting = branches.filter(
+      (branch) => !branch.type || matchesSchemaType(value, branch.type)
+    );
+    if (fitting.length === 0) {
+      return problem(
+        `must be ${describeSchemaType(
+          branches.map((branch) => branch.type)
+        )}, got ${shown}`
+      );
+    }
+    return validateAgainstSchema(value, fitting[0], rootSchema, jsonPath);
+  }
+
+  if (schema.type && !matchesSchemaType(value, schema.type)) {
+    return problem(`must be ${describeSchemaType(schema.type)}, got ${shown}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion =
+      typeof value === "string" ? suggestName(value, schema.enum) : null;
+    return problem(
+      `${shown} is not allowed, use ${schema.enum
+        .map((item) => JSON.stringify(item))
+        .join(", ")}${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`
+    );
+  }
+
+  const problems = [];
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(...problem("must not be empty"));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(...problem(`${shown} must match the pattern ${schema.pattern}`));
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined) {
+    if (value < schema.minimum) {
+      problems.push(...problem(`must be at least ${schema.minimum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(
+        ...problem(`must have at least ${schema.minItems} item(s)`)
+      );
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        problems.push(
+          ...validateAgainstSchema(
+            item,
+            schema.items,
+            rootSchema,
+            joinJsonPath(jsonPath, index)
+          )
+        )
+      );
+    }
+  }
+
+  if (getJsonType(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        problems.push(...problem(`"${key}" is required`));
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      const keyPath = joinJsonPath(jsonPath, key);
+      if (properties[key]) {
+        problems.push(
+          ...validateAgainstSchema(item, properties[key], rootSchema, keyPath)
+        );
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestName(key, Object.keys(properties));
+        problems.push({
+          path: keyPath,
+          message: `unknown setting${
+            suggestion ? ` (did you mean "${suggestion}"?)` : ""
+          }`,
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        problems.push(
+          ...validateAgainstSchema(
+            item,
+            schema.additionalProperties,
+            rootSchema,
+            keyPath
+          )
+        );
+      }
+    });
+  }
+
+  return problems;
+}
+
+// Checks a parsed config against the schema shipped next to this script.
+// Returns the problems, or null when the schema file is not available
+function validateConfig(config) {
+  const schemaPath = path.join(__dirname, CONFIG.schemaFile);
+  if (!fs.existsSync(schemaPath)) return null;
+  const schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+  return validateAgainstSchema(config, schema, schema);
+}
+
+function printConfigProblems(problems, source) {
+  colorLog(`❌ ${source} has ${problems.length} problem(s):`, "red");
+  problems.forEach(({ path: jsonPath, message }) =>
+    colorLog(`  • ${jsonPath}: ${message}`, "red")
+  );
+  colorLog(
+    `💡 Settings are described in ${CONFIG.schemaFile} and the readme`,
+    "yellow"
+  );
 }
 
-function loadPluginList() {
+// A profile merged with the profiles it extends; its own settings win.
+// chain lists the profile and its ancestors. Throws on unknown profiles
+// and on cycles.
+function resolveProfile(profiles, name, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`Profile cycle: ${[...chain, name].join(" → ")}`);
+  }
+  const profile = profiles[name];
+  if (!profile) {
+    const suggestion = suggestName(name, Object.keys(profiles));
+    throw new Error(
+      `Unknown profile "${name}"${
+        chain.length > 0 ? ` (extended by "${chain[chain.length - 1]}")` : ""
+      }${suggestion ? ` - did you mean "${suggestion}"?` : ""}`
+    );
+  }
+
+  const parent = profile.extends
+    ? resolveProfile(profiles, profile.extends, [...chain, name])
+    : { chain: [], buildSettings: {} };
+  const settings = { ...profile };
+  delete settings.extends;
+  return {
+    ...parent,
+    ...settings,
+    name,
+    chain: [name, ...parent.chain],
+    buildSettings: mergeBuildSettings(
+      parent.buildSettings,
+      profile.buildSettings
+    ),
+  };
+}
+
+// Settings from a profile replace the ones below them; nested settings
+// objects (gitChecks, tagging, ...) are merged key by key
+function mergeBuildSettings(base = {}, changes = {}) {
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const merged = { ...base };
+  Object.entries(changes).forEach(([key, value]) => {
+    merged[key] =
+      isObject(value) && isObject(base[key]) ? { ...base[key], ...value } : value;
+  });
+  return merged;
+}
+
+// The config as the profile sees it, so every check below applies to it
+function applyProfile(config, profile) {
+  return {
+    ...config,
+    plugins: profile.plugins ?? config.plugins,
+    ignore: profile.ignore ?? config.ignore,
+    buildSettings: mergeBuildSettings(
+      config.buildSettings,
+      profile.buildSettings
+    ),
+  };
+}
+
+// createExample: write an example file when the config is missing. Only
+// done for the default file, a mistyped --config path is an error
+function loadPluginList(profileName = null, createExample = true) {
   const listPath = path.resolve(CONFIG.pluginListFile);
 
+  if (!fs.existsSync(listPath) && !createExample) {
+    colorLog(`❌ Config file not found: ${CONFIG.pluginListFile}`, "red");
+    colorLog(
+      "💡 Check the path, or leave it out to use plugin-list.json",
+      "yellow"
+    );
+    return null;
+  }
+
   if (!fs.existsSync(listPath)) {
     colorLog(
       `⚠️  Plugin list file not found: ${CONFIG.pluginListFile}`,
@@ -1029,54 +5429,411 @@ function loadPluginList() {
 
   try {
     const content = fs.readFileSync(listPath, "utf8");
-    const config = JSON.parse(content);
+    const baseConfig = JSON.parse(content);
+    let config = baseConfig;
 
-    // Get plugins array and ignore array
-    const plugins = config.plugins || [];
-    const ignoreList = config.ignore || [];
+    // Structural check first: every problem at once, with its path
+    const problems = validateConfig(baseConfig);
+    if (problems === null) {
+      colorLog(
+        `⚠️  ${CONFIG.schemaFile} not found, skipping config schema check`,
+        "yellow"
+      );
+    } else if (problems.length > 0) {
+      printConfigProblems(problems, CONFIG.pluginListFile);
+      return null;
+    }
+
+    // Build profiles: every profile must resolve, the selected one replaces
+    // the plugin selection and build settings it defines
+    const profiles = config.profiles || {};
+    try {
+      Object.keys(profiles).forEach((name) => resolveProfile(profiles, name));
+      CONFIG.profile = profileName
+        ? resolveProfile(profiles, profileName)
+        : null;
+    } catch (error) {
+      colorLog(`❌ ${CONFIG.pluginListFile}: ${error.message}`, "red");
+      colorLog(
+        Object.keys(profiles).length > 0
+          ? `💡 Available profiles: ${Object.keys(profiles).join(", ")}`
+          : `💡 Define profiles in the "profiles" section of ${CONFIG.pluginListFile}`,
+        "yellow"
+      );
+      return null;
+    }
+    if (CONFIG.profile) {
+      config = applyProfile(config, CONFIG.profile);
+      colorLog(
+        `🎯 Profile: ${CONFIG.profile.name}${
+          CONFIG.profile.chain.length > 1
+            ? ` (extends ${CONFIG.profile.chain.slice(1).join(" → ")})`
+            : ""
+        }${
+          CONFIG.profile.description ? ` - ${CONFIG.profile.description}` : ""
+        }`,
+        "blue"
+      );
+    }
 
-    // Validate plugin names
-    const invalidPlugins = plugins.filter(
-      (plugin) => !plugin.startsWith("user-registration-")
+    // Get plugins array and ignore array. Plugin entries are slugs, or
+    // { "name": slug, "ref": tag, branch or commit } to build from git.
+    const refs = {};
+    const invalidEntry = (config.plugins || []).find(
+      (entry) =>
+        typeof entry !== "string" &&
+        (typeof entry?.name !== "string" ||
+          (entry.ref !== undefined && !isValidGitRef(entry.ref)))
     );
-    if (invalidPlugins.length > 0) {
+    if (invalidEntry !== undefined) {
       colorLog(
-        `❌ Invalid plugin names found (must start with 'user-registration-'):`,
+        `❌ Invalid plugin entry in ${CONFIG.pluginListFile}: ${JSON.stringify(
+          invalidEntry
+        )}`,
         "red"
       );
-      invalidPlugins.forEach((plugin) => colorLog(`  • ${plugin}`, "red"));
       colorLog(
-        `💡 Please fix the plugin names in ${CONFIG.pluginListFile}`,
+        `💡 Use a plugin slug, or { "name": "<slug>", "ref": "<tag, branch or commit>" }`,
         "yellow"
       );
       return null;
     }
+    const plugins = (config.plugins || []).map((entry) => {
+      if (typeof entry === "string") return entry;
+      if (entry.ref) refs[entry.name] = entry.ref;
+      return entry.name;
+    });
+    const ignoreList = config.ignore || [];
+
+    // Plugin directories: one path or a list of them
+    const pluginsPath = config.pluginsPath;
+    if (pluginsPath !== undefined) {
+      const roots = [].concat(pluginsPath);
+      if (
+        roots.length === 0 ||
+        roots.some((root) => typeof root !== "string" || !root.trim())
+      ) {
+        colorLog(
+          `❌ Invalid pluginsPath in ${CONFIG.pluginListFile}: ${JSON.stringify(
+            pluginsPath
+          )}`,
+          "red"
+        );
+        colorLog(
+          `💡 Use a directory, or a list of directories: ["../wp-content/plugins", "../checkouts"]`,
+          "yellow"
+        );
+        return null;
+      }
+      CONFIG.pluginsPath = pluginsPath;
+    }
 
-    // Validate ignore list names
-    const invalidIgnorePlugins = ignoreList.filter(
-      (plugin) => !plugin.startsWith("user-registration-")
+    // Plugin dependencies: { "<slug>": ["<slug it needs built first>"] }
+    const dependsOn = config.dependsOn || {};
+    const invalidDependency = Object.entries(dependsOn).find(
+      ([, dependencies]) =>
+        !Array.isArray(dependencies) ||
+        dependencies.some((name) => typeof name !== "string" || !name)
     );
-    if (invalidIgnorePlugins.length > 0) {
+    if (typeof dependsOn !== "object" || invalidDependency) {
       colorLog(
-        `❌ Invalid ignore plugin names found (must start with 'user-registration-'):`,
+        `❌ Invalid dependsOn${
+          invalidDependency ? `.${invalidDependency[0]}` : ""
+        } in ${CONFIG.pluginListFile}`,
         "red"
       );
-      invalidIgnorePlugins.forEach((plugin) => colorLog(`  • ${plugin}`, "red"));
       colorLog(
-        `💡 Please fix the ignore plugin names in ${CONFIG.pluginListFile}`,
+        `💡 Map each plugin slug to a list of slugs: { "user-registration-stripe": ["user-registration-pro"] }`,
         "yellow"
       );
       return null;
     }
 
+    // How plugin folders are recognized
+    const discovery = config.discovery;
+    if (discovery !== undefined) {
+      const patterns = discovery?.patterns;
+      if (
+        !["pattern", "header", undefined].includes(discovery?.mode) ||
+        (patterns !== undefined &&
+          (!Array.isArray(patterns) ||
+            patterns.length === 0 ||
+            patterns.some((pattern) => typeof pattern !== "string" || !pattern)))
+      ) {
+        colorLog(
+          `❌ Invalid discovery settings in ${CONFIG.pluginListFile}: ${JSON.stringify(
+            discovery
+          )}`,
+          "red"
+        );
+        colorLog(
+          `💡 Use { "mode": "pattern" or "header", "patterns": ["user-registration-*"] }`,
+          "yellow"
+        );
+        return null;
+      }
+      CONFIG.discoveryMode = discovery.mode || "pattern";
+      if (patterns) CONFIG.pluginPatterns = patterns;
+    }
+
+    // Validate plugin and ignore list names
+    if (
+      !validatePluginNames(plugins, "plugin", CONFIG.pluginListFile) ||
+      !validatePluginNames(ignoreList, "ignore plugin", CONFIG.pluginListFile)
+    ) {
+      return null;
+    }
+
     // Store custom build steps if specified
     CONFIG.customBuildSteps = config.buildSettings?.buildSteps || null;
 
+    // Per-plugin build step overrides
+    CONFIG.pluginOverrides = config.pluginOverrides || {};
+    const overrideNames = Object.keys(CONFIG.pluginOverrides);
+    if (
+      !validatePluginNames(overrideNames, "pluginOverrides", CONFIG.pluginListFile) ||
+      !validatePluginNames(
+        Object.keys(dependsOn),
+        "dependsOn",
+        CONFIG.pluginListFile
+      )
+    ) {
+      return null;
+    }
+    for (const pluginName of [null, ...overrideNames]) {
+      try {
+        getConfiguredBuildSteps(pluginName);
+      } catch (error) {
+        colorLog(`❌ ${error.message}`, "red");
+        colorLog(
+          `💡 Please fix the build steps in ${CONFIG.pluginListFile}`,
+          "yellow"
+        );
+        return null;
+      }
+    }
+    // Each profile's steps must exist in the step list it builds with
+    for (const name of Object.keys(profiles)) {
+      const profile = resolveProfile(profiles, name);
+      if (!profile.steps) continue;
+      const knownSteps = getKnownStepNames(
+        profile.buildSettings.buildSteps ?? baseConfig.buildSettings?.buildSteps
+      );
+      const unknownSteps = profile.steps.filter(
+        (step) => !knownSteps.has(step)
+      );
+      if (unknownSteps.length > 0) {
+        colorLog(
+          `❌ Unknown build steps in profile "${name}": ${unknownSteps.join(
+            ", "
+          )}`,
+          "red"
+        );
+        colorLog(`💡 Available steps: ${[...knownSteps].join(", ")}`, "yellow");
+        return null;
+      }
+    }
+
     // Update output directory if specified
     if (config.buildSettings?.outputDirectory) {
       CONFIG.outputDir = config.buildSettings.outputDirectory;
     }
 
+    // Release readiness check mode
+    const releaseCheck = config.buildSettings?.releaseCheck;
+    if (releaseCheck !== undefined) {
+      if (!["warn", "block", "off"].includes(releaseCheck)) {
+        colorLog(
+          `❌ Invalid buildSettings.releaseCheck "${releaseCheck}" in ${CONFIG.pluginListFile}: use "warn", "block" or "off"`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.releaseCheck = releaseCheck;
+    }
+
+    // Named PHP binaries
+    const php = config.buildSettings?.php;
+    if (php !== undefined) {
+      const binaries = php?.binaries || {};
+      const invalidName =
+        typeof binaries === "object"
+          ? Object.keys(binaries).find((name) => {
+              const binary = binaries[name];
+              const binaryPath =
+                typeof binary === "string" ? binary : binary?.php;
+              return name === "php" || typeof binaryPath !== "string";
+            })
+          : "";
+      if (typeof php !== "object" || php === null || invalidName !== undefined) {
+        colorLog(
+          `❌ Invalid buildSettings.php${
+            invalidName ? `.binaries.${invalidName}` : ""
+          } in ${CONFIG.pluginListFile}`,
+          "red"
+        );
+        colorLog(
+          `💡 Map names other than "php" to a PHP path or to { "php": "<path>", "composer": "<path>" }`,
+          "yellow"
+        );
+        return null;
+      }
+      CONFIG.php = {
+        composer: php.composer || null,
+        binaries: Object.fromEntries(
+          Object.entries(binaries).map(([name, binary]) => [
+            name,
+            typeof binary === "string"
+              ? { php: binary, composer: null }
+              : { php: binary.php, composer: binary.composer || null },
+          ])
+        ),
+      };
+    }
+
+    // Node/npm engine check mode
+    const engineCheck = config.buildSettings?.engineCheck;
+    if (engineCheck !== undefined) {
+      if (!["block", "warn", "off"].includes(engineCheck)) {
+        colorLog(
+          `❌ Invalid buildSettings.engineCheck "${engineCheck}" in ${CONFIG.pluginListFile}: use "block", "warn" or "off"`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.engineCheck = engineCheck;
+    }
+
+    // Packaging method and exclude list
+    const packaging = config.buildSettings?.packaging;
+    if (packaging) {
+      if (packaging.method && !["grunt", "native"].includes(packaging.method)) {
+        colorLog(
+          `❌ Invalid buildSettings.packaging.method "${packaging.method}" in ${CONFIG.pluginListFile}: use "grunt" or "native"`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.packaging = {
+        method: packaging.method || "grunt",
+        exclude: packaging.exclude || [],
+      };
+    }
+
+    // Git checks
+    const gitChecks = config.buildSettings?.gitChecks;
+    if (gitChecks) {
+      const invalidPolicy = ["dirty", "untracked", "wrongBranch", "behind"].find(
+        (check) =>
+          gitChecks[check] !== undefined &&
+          !["block", "warn", "ignore"].includes(gitChecks[check])
+      );
+      if (invalidPolicy) {
+        colorLog(
+          `❌ Invalid buildSettings.gitChecks.${invalidPolicy} "${gitChecks[invalidPolicy]}" in ${CONFIG.pluginListFile}: use "block", "warn" or "ignore"`,
+          "red"
+        );
+        return null;
+      }
+      if (
+        gitChecks.releaseBranch !== undefined &&
+        gitChecks.releaseBranch !== null &&
+        !/^[\w][\w./-]*$/.test(gitChecks.releaseBranch)
+      ) {
+        colorLog(
+          `❌ Invalid buildSettings.gitChecks.releaseBranch "${gitChecks.releaseBranch}" in ${CONFIG.pluginListFile}`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.gitChecks = { ...CONFIG.gitChecks, ...gitChecks };
+    }
+
+    // Release tagging
+    const tagging = config.buildSettings?.tagging;
+    if (tagging) {
+      const invalidKey = ["format", "message"].find(
+        (key) => tagging[key] !== undefined && typeof tagging[key] !== "string"
+      );
+      if (invalidKey || (tagging.format && !tagging.format.includes("{version}"))) {
+        colorLog(
+          `❌ Invalid buildSettings.tagging.${invalidKey || "format"} in ${CONFIG.pluginListFile}: ${
+            invalidKey ? "must be a string" : "must contain {version}"
+          }`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.tagging = {
+        ...CONFIG.tagging,
+        ...tagging,
+        enabled: Boolean(tagging.enabled),
+      };
+    }
+
+    // Zip inspection settings
+    const zipChecks = config.buildSettings?.zipChecks;
+    if (zipChecks) {
+      const isStringList = (value) =>
+        Array.isArray(value) && value.every((item) => typeof item === "string");
+      let zipChecksError = null;
+      if (
+        zipChecks.onViolation !== undefined &&
+        !["warn", "fail", "off"].includes(zipChecks.onViolation)
+      ) {
+        zipChecksError = `onViolation "${zipChecks.onViolation}": use "warn", "fail" or "off"`;
+      } else if (
+        zipChecks.forbidden !== undefined &&
+        !isStringList(zipChecks.forbidden)
+      ) {
+        zipChecksError = "forbidden: must be a list of paths";
+      } else if (
+        zipChecks.required !== undefined &&
+        !isStringList(zipChecks.required)
+      ) {
+        zipChecksError = "required: must be a list of paths";
+      } else if (
+        zipChecks.maxSizeMB !== undefined &&
+        (typeof zipChecks.maxSizeMB !== "number" || zipChecks.maxSizeMB < 0)
+      ) {
+        zipChecksError = "maxSizeMB: must be a number (0 for no limit)";
+      }
+      if (zipChecksError) {
+        colorLog(
+          `❌ Invalid buildSettings.zipChecks.${zipChecksError} in ${CONFIG.pluginListFile}`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.zipChecks = { ...CONFIG.zipChecks, ...zipChecks };
+    }
+
+    // Lines of a failed step's log included in the report
+    const logTailLines = config.buildSettings?.logTailLines;
+    if (logTailLines !== undefined) {
+      if (!Number.isInteger(logTailLines) || logTailLines < 0) {
+        colorLog(
+          `❌ Invalid buildSettings.logTailLines in ${CONFIG.pluginListFile}: must be a non-negative integer`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.logTailLines = logTailLines;
+    }
+
+    // Number of plugins to build in parallel
+    if (config.buildSettings?.concurrency !== undefined) {
+      const concurrency = parseConcurrency(config.buildSettings.concurrency);
+      if (!concurrency) {
+        colorLog(
+          `❌ Invalid buildSettings.concurrency in ${CONFIG.pluginListFile}: must be a positive integer`,
+          "red"
+        );
+        return null;
+      }
+      CONFIG.concurrency = concurrency;
+    }
+
     if (plugins.length > 0) {
       colorLog(
         `📋 Loaded ${plugins.length} plugins from ${CONFIG.pluginListFile}:`,
@@ -1090,6 +5847,13 @@ function loadPluginList() {
       );
     }
 
+    if (overrideNames.length > 0) {
+      colorLog(
+        `🔧 Build step overrides for: ${overrideNames.join(", ")}`,
+        "blue"
+      );
+    }
+
     if (ignoreList.length > 0) {
       colorLog(
         `🚫 Ignore list (${ignoreList.length} plugins):`,
@@ -1098,17 +5862,24 @@ function loadPluginList() {
       ignoreList.forEach((plugin) => colorLog(`  • ${plugin}`, "yellow"));
     }
 
-    return { plugins, ignoreList };
+    return { plugins, ignoreList, refs, defaultRef: null, dependsOn };
   } catch (error) {
     colorLog(`❌ Error reading plugin list: ${error.message}`, "red");
     return null;
   }
 }
 
+function parseConcurrency(value) {
+  const concurrency = Number(value);
+  return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : null;
+}
+
 function createExamplePluginList() {
   const exampleConfig = {
+    $schema: "./plugin-list.schema.json",
     description: "Plugin list for automated building",
     version: "1.0.0",
+    pluginsPath: "..",
     plugins: [
       "user-registration-pro",
       "user-registration-activecampaign",
@@ -1118,8 +5889,69 @@ function createExamplePluginList() {
       "user-registration-stripe",
       "user-registration-mailchimp",
     ],
+    pluginOverrides: {
+      "user-registration-activecampaign": {
+        skipSteps: ["npmBuild"],
+        addSteps: [
+          {
+            name: "makepot",
+            command: "grunt makepot",
+            description: "Grunt makepot",
+            after: "gruntJs",
+          },
+        ],
+      },
+    },
+    profiles: {
+      assets: {
+        description: "Quick asset rebuild",
+        steps: ["gruntCss", "gruntJs"],
+        buildSettings: { outputDirectory: "build-assets" },
+      },
+      release: {
+        description: "Full release",
+        steps: ["composer", "npm", "npmBuild", "gruntZip"],
+        buildSettings: { tagging: { enabled: true } },
+      },
+      ci: {
+        extends: "release",
+        description: "CI check of every plugin, without tagging",
+        plugins: [],
+        buildSettings: {
+          outputDirectory: "build-ci",
+          releaseCheck: "block",
+          tagging: { enabled: false },
+        },
+      },
+    },
     buildSettings: {
       outputDirectory: "build-output",
+      concurrency: 1,
+      releaseCheck: "warn",
+      engineCheck: "warn",
+      logTailLines: 20,
+      tagging: {
+        enabled: false,
+        format: "v{version}",
+        message: "Release {version}",
+      },
+      gitChecks: {
+        releaseBranch: "master",
+        dirty: "block",
+        untracked: "warn",
+        wrongBranch: "block",
+        behind: "warn",
+      },
+      zipChecks: {
+        onViolation: "warn",
+        forbidden: ["node_modules/", ".git/", ".github/", "/tests/", "*.map"],
+        required: ["vendor/autoload.php"],
+        maxSizeMB: 20,
+      },
+      packaging: {
+        method: "grunt",
+        exclude: [],
+      },
       buildSteps: [
         {
           name: "composer",
@@ -1131,18 +5963,23 @@ function createExamplePluginList() {
           name: "npm",
           command: "npm install --legacy-peer-deps",
           description: "NPM install",
+          timeout: 900,
+          retries: 2,
+          retryDelay: 10,
           skip: false,
         },
         {
           name: "gruntCss",
           command: "grunt css",
           description: "Grunt CSS",
+          onFailure: "warn",
           skip: false,
         },
         {
           name: "gruntJs",
           command: "grunt js",
           description: "Grunt JS",
+          onFailure: "warn",
           skip: false,
         },
         {
@@ -1192,31 +6029,152 @@ function setupOutputDirectory() {
   }
 }
 
-async function main() {
+// Names of the configured steps, including the ones plugin overrides add
+function getKnownStepNames(customSteps = CONFIG.customBuildSteps) {
+  const knownSteps = new Set(
+    getConfiguredBuildSteps(null, customSteps).map((step) => step.key)
+  );
+  Object.keys(CONFIG.pluginOverrides).forEach((pluginName) => {
+    getConfiguredBuildSteps(pluginName, customSteps).forEach((step) =>
+      knownSteps.add(step.key)
+    );
+  });
+  return knownSteps;
+}
+
+// Command line values override plugin-list.json
+function applyCliOverrides(pluginConfig, options) {
+  if (options.plugins) {
+    if (!validatePluginNames(options.plugins, "plugin", "--plugins")) {
+      return false;
+    }
+    pluginConfig.plugins = options.plugins;
+    colorLog(`📋 --plugins: ${options.plugins.join(", ")}`, "blue");
+  }
+
+  if (options.ignore) {
+    if (!validatePluginNames(options.ignore, "ignore plugin", "--ignore")) {
+      return false;
+    }
+    pluginConfig.ignoreList = options.ignore;
+    colorLog(`🚫 --ignore: ${options.ignore.join(", ")}`, "yellow");
+  }
+
+  // --ref v1.2.3 builds every plugin from that ref, --ref slug=ref one plugin.
+  // Either way the refs in plugin-list.json are replaced.
+  if (options.ref) {
+    pluginConfig.refs = {};
+    pluginConfig.defaultRef = null;
+    for (const value of options.ref) {
+      const separator = value.indexOf("=");
+      const slug = separator === -1 ? null : value.slice(0, separator);
+      const ref = separator === -1 ? value : value.slice(separator + 1);
+
+      if (!isValidGitRef(ref)) {
+        colorLog(`❌ Invalid git ref in --ref: ${value}`, "red");
+        return false;
+      }
+      if (slug === null) {
+        if (pluginConfig.defaultRef) {
+          colorLog("❌ --ref accepts only one ref without a plugin slug", "red");
+          return false;
+        }
+        pluginConfig.defaultRef = ref;
+      } else {
+        if (!validatePluginNames([slug], "plugin", "--ref")) return false;
+        pluginConfig.refs[slug] = ref;
+      }
+    }
+    colorLog(`📌 --ref: ${options.ref.join(", ")}`, "blue");
+  }
+
+  if (options.output) {
+    CONFIG.outputDir = options.output;
+  }
+
+  if (options.pluginsPath) {
+    CONFIG.pluginsPath = options.pluginsPath;
+  }
+
+  if (options.concurrency !== undefined) {
+    const concurrency = parseConcurrency(options.concurrency);
+    if (!concurrency) {
+      colorLog("❌ --concurrency must be a positive integer", "red");
+      return false;
+    }
+    CONFIG.concurrency = concurrency;
+  }
+
+  if (options.force) {
+    CONFIG.force = true;
+    colorLog("🔁 --force: rebuilding all plugins, even if up to date", "yellow");
+  }
+
+  if (options.tag) {
+    CONFIG.tagging.enabled = true;
+  }
+
+  if (options.resume) {
+    CONFIG.resume = true;
+    colorLog(
+      "♻️  --resume: skipping plugins already built in the previous run",
+      "yellow"
+    );
+  }
+
+  if (options.onlySteps && options.skipSteps) {
+    colorLog("❌ --only-steps and --skip-steps cannot be combined", "red");
+    return false;
+  }
+
+  const stepFilter = options.onlySteps || options.skipSteps;
+  if (stepFilter) {
+    const knownSteps = getKnownStepNames();
+    const unknownSteps = stepFilter.filter((step) => !knownSteps.has(step));
+    if (unknownSteps.length > 0) {
+      colorLog(`❌ Unknown build steps: ${unknownSteps.join(", ")}`, "red");
+      colorLog(`💡 Available steps: ${[...knownSteps].join(", ")}`, "yellow");
+      return false;
+    }
+    CONFIG.onlySteps = options.onlySteps || null;
+    CONFIG.skipSteps = options.skipSteps || [];
+  }
+
+  return true;
+}
+
+async function main(options = {}) {
   try {
     colorLog("🚀 Starting 3-Phase Plugin Build Process", "blue");
     colorLog("==========================================", "blue");
     colorLog(`📅 Started at: ${new Date().toLocaleString()}`, "yellow");
 
-    // Setup output directory
-    setupOutputDirectory();
+    if (options.config) {
+      CONFIG.pluginListFile = options.config;
+    }
 
     // Load plugin list
-    const pluginConfig = loadPluginList();
+    const pluginConfig = loadPluginList(options.profile, !options.config);
 
-    if (!pluginConfig) {
+    if (!pluginConfig || !applyCliOverrides(pluginConfig, options)) {
       colorLog("❌ Failed to load plugin configuration", "red");
       process.exit(1);
     }
 
+    // Setup output directory (after the config, which may change it)
+    setupOutputDirectory();
+
     // Get plugins to build
-    const plugins = getPluginDirectories(pluginConfig.plugins, pluginConfig.ignoreList);
+    const { plugins, ignored } = getPluginDirectories(
+      pluginConfig.plugins,
+      pluginConfig.ignoreList
+    );
 
     if (plugins.length === 0) {
       colorLog("❌ No plugins found to build", "red");
       if (!pluginConfig.plugins || pluginConfig.plugins.length === 0) {
         colorLog(
-          "💡 Edit the plugin-list.json file to specify which plugins to build, or add plugins to the ignore list",
+          `💡 Edit the ${CONFIG.pluginListFile} file (or pass --plugins) to specify which plugins to build, or add plugins to the ignore list`,
           "yellow"
         );
       }
@@ -1225,25 +6183,81 @@ async function main() {
 
     colorLog(`📋 Found ${plugins.length} plugins to process:`, "blue");
     plugins.forEach((plugin) => {
-      colorLog(`  • ${plugin.name}`, "yellow");
+      plugin.ref =
+        pluginConfig.refs[plugin.name] || pluginConfig.defaultRef || null;
+      colorLog(
+        `  • ${plugin.name}${plugin.ref ? ` (ref ${plugin.ref})` : ""}`,
+        "yellow"
+      );
     });
 
+    // Build plugins after the plugins they depend on
+    if (!orderPluginsByDependencies(plugins, pluginConfig.dependsOn)) {
+      process.exit(1);
+    }
+
+    // Check out plugins built from a git ref (dry runs only resolve the commit)
+    preparePluginRefs(plugins, !options.dryRun);
+
     // Phase 1: Command Validation
     const validationResults = await validateCommands(plugins);
 
+    // Dry run: show what would be built and stop before Phase 2
+    if (options.dryRun) {
+      const plan = createBuildPlan(plugins, validationResults, ignored);
+      printBuildPlan(plan);
+      generateResultReport(
+        validationResults,
+        createEmptyBuildResults(),
+        plan
+      );
+      colorLog("\n🧪 Dry run complete - no build commands were run", "green");
+      process.exit(0);
+    }
+
     // Phase 2: Real-time Building
     const buildResults = await buildPluginsRealtime(plugins, validationResults);
+    buildResults.checksums = writeChecksumManifest(buildResults);
+
+    buildResults.releaseNotes = writeReleaseNotes(buildResults);
+
+    // Optional post-build stage: tag each successful release
+    if (CONFIG.tagging.enabled) {
+      buildResults.tags = tagReleases(plugins, buildResults);
+    }
 
     // Phase 3: Result Reporting
     const finalReport = generateResultReport(validationResults, buildResults);
 
+    if (refWorktrees.length > 0) {
+      colorLog(
+        `\n🧹 Removing ${refWorktrees.length} temporary worktree(s)`,
+        "yellow"
+      );
+      removeRefWorktrees();
+    }
+
     // Final exit status
-    if (finalReport.buildFailed > 0) {
+    if (finalReport.buildFailed > 0 || finalReport.blockedByDependency > 0) {
       colorLog(
         "\n⚠️  Some builds failed. Check the result report for details.",
         "red"
       );
+      colorLog(
+        "💡 After fixing them, run again with --resume to continue this run",
+        "yellow"
+      );
       process.exit(1);
+    } else if (finalReport.builtWithWarnings > 0) {
+      colorLog(
+        "\n⚠️  All compatible plugins built, some with warnings. Check the result report for details.",
+        "yellow"
+      );
+      colorLog(
+        `📦 Zip files are ready in the ${CONFIG.outputDir} directory`,
+        "green"
+      );
+      process.exit(0);
     } else {
       colorLog("\n🎉 All compatible plugins built successfully!", "green");
       colorLog(
@@ -1258,52 +6272,277 @@ async function main() {
   }
 }
 
+// Command line options. "list" values are comma separated.
+const CLI_OPTIONS = {
+  help: { type: "boolean", alias: "h" },
+  version: { type: "boolean", alias: "v" },
+  config: { type: "string", alias: "c" },
+  profile: { type: "string" },
+  plugins: { type: "list", alias: "p" },
+  ignore: { type: "list" },
+  "only-steps": { type: "list" },
+  "skip-steps": { type: "list" },
+  output: { type: "string", alias: "o" },
+  "plugins-path": { type: "list" },
+  concurrency: { type: "string", alias: "j" },
+  force: { type: "boolean" },
+  resume: { type: "boolean" },
+  ref: { type: "list" },
+  tag: { type: "boolean" },
+  "dry-run": { type: "boolean", alias: "n" },
+  "no-color": { type: "boolean" },
+};
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith("--")) {
+      const equalsIndex = arg.indexOf("=");
+      name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+      value = equalsIndex === -1 ? undefined : arg.slice(equalsIndex + 1);
+    } else {
+      name = Object.keys(CLI_OPTIONS).find(
+        (key) => CLI_OPTIONS[key].alias === arg.slice(1)
+      );
+    }
+
+    const definition = CLI_OPTIONS[name];
+    if (!definition) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    // Options are stored in camelCase, e.g. --only-steps -> onlySteps
+    const key = name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+
+    if (definition.type === "boolean") {
+      if (value !== undefined) {
+        throw new Error(`Option --${name} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith("-")) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      i++;
+    }
+
+    if (definition.type === "list") {
+      value = value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+      if (value.length === 0) {
+        throw new Error(`Option --${name} requires at least one value`);
+      }
+    }
+
+    options[key] = value;
+  }
+
+  return { options, positionals };
+}
+
 // Handle command line arguments
-const args = process.argv.slice(2);
-if (args.includes("--help") || args.includes("-h")) {
+let cliArgs;
+try {
+  cliArgs = parseArgs(process.argv.slice(2));
+  const [command, ...commandArgs] = cliArgs.positionals;
+  if (
+    command !== undefined &&
+    command !== "verify" &&
+    command !== "validate-config"
+  ) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (commandArgs.length > 1) {
+    throw new Error(`Unexpected argument: ${commandArgs[1]}`);
+  }
+} catch (error) {
+  colorLog(`❌ ${error.message}`, "red");
+  colorLog("💡 Run with --help to see the available options", "yellow");
+  process.exit(1);
+}
+
+const options = cliArgs.options;
+
+if (options.noColor) {
+  CONFIG.color = false;
+}
+
+if (options.help) {
   console.log(`
 Usage: node plugin-builder.js [options]
+       node plugin-builder.js verify [dir]
+       node plugin-builder.js validate-config [file]
+
+Commands:
+  verify [dir]             Check the zips in [dir] (default: the output
+                           directory) against its checksums.json
+  validate-config [file]   Check [file] (default: the --config file) against
+                           plugin-list.schema.json without building (with
+                           --profile, also check that profile's settings)
 
 Options:
-  --help, -h     Show this help message
-  --version, -v  Show version information
+  --help, -h               Show this help message
+  --version, -v            Show version information
+  --config, -c <file>      Read configuration from <file>
+                           (default: plugin-list.json)
+  --profile <name>         Use the named profile from "profiles"
+  --plugins, -p <a,b,c>    Build only these plugins (overrides "plugins")
+  --ignore <a,b,c>         Ignore these plugins (overrides "ignore")
+  --only-steps <a,b>       Run only these build steps, by step name
+  --skip-steps <a,b>       Skip these build steps, by step name
+  --output, -o <dir>       Write zips and the report to <dir>
+                           (overrides buildSettings.outputDirectory)
+  --plugins-path <a,b>     Look for plugins in these directories
+                           (overrides "pluginsPath", default: ..)
+  --concurrency, -j <n>    Build up to <n> plugins in parallel
+                           (overrides buildSettings.concurrency)
+  --force                  Rebuild every plugin, even if it is up to date
+  --ref <ref>              Build every plugin from a git tag, branch or
+                           commit, in a temporary worktree
+  --ref <slug=ref,...>     Build only the given plugins from a git ref
+  --tag                    Create an annotated git tag for each successful
+                           build (same as buildSettings.tagging.enabled)
+  --resume                 Continue the previous run: skip plugins it built
+                           and restart failed ones at the failed step
+  --dry-run, -n            Validate and print the build plan (also written
+                           to the report) without running any build command
+  --no-color               Disable colored output (or set NO_COLOR)
+
+Values given on the command line override plugin-list.json without
+modifying it. List values are comma separated, and --name=value works too.
 
 This script runs a 3-phase process:
 
 PHASE 1: Command Validation
 - Checks if composer, npm, and grunt are available globally
 - Validates each plugin has required files (package.json, composer.json, Gruntfile.js)
+- Checks that the plugin header Version, readme.txt Stable tag, version
+  constant, package.json/composer.json versions and the newest changelog
+  entry agree (buildSettings.releaseCheck: "warn", "block" or "off")
+- Picks the lowest PHP (the php on the PATH or buildSettings.php.binaries)
+  that satisfies each plugin's composer.json and runs its composer steps
+  with it
+- Checks the running Node and npm against package.json engines, .nvmrc
+  and .node-version (buildSettings.engineCheck: "warn", "block" or "off")
+- For plugins that are git repositories, reports branch, HEAD commit,
+  modified/untracked files and commits missing from the release branch
+  (buildSettings.gitChecks: "block", "warn" or "ignore" per check)
 - Reports incompatible plugins that cannot be built
 
 PHASE 2: Real-time Building
 - Builds compatible plugins with real-time output
+- Builds several plugins at once when concurrency is greater than 1,
+  prefixing each output line with the plugin name
+- Builds plugins after the plugins they depend on ("dependsOn" or the
+  Requires Plugins header), stops on circular dependencies and marks
+  dependents of a failed plugin as blocked
 - Runs: composer install → npm install → grunt css → grunt js → npm run build → grunt zip
 - Shows live progress and output for each command
+- Kills steps that run longer than their "timeout" (seconds) and runs
+  failed steps again up to "retries" times
 - Creates zip files and moves them to build-output directory
+  (or writes them directly with buildSettings.packaging.method "native",
+  honoring each plugin's .distignore)
+- Inspects each zip: a single <slug>/ folder, a main plugin file with a
+  valid header, no forbidden paths, required paths present and a size
+  limit (buildSettings.zipChecks, violations "warn", "fail" or "off")
+- Skips plugins whose sources and build steps are unchanged since their
+  last successful build and whose zip is still in the output directory
 
 PHASE 3: Result Reporting
 - Generates comprehensive build-results.md report
+- With --tag (or buildSettings.tagging.enabled), creates an annotated
+  git tag from each successful plugin's version, never moving existing tags
+- Writes release-notes.md and release-notes.json with the changelog entry
+  of each successfully built plugin's version, grouped by change type
+- Writes checksums.json and SHA256SUMS with the SHA-256, size and version
+  of every zip
+- Saves each step's full output to <output>/logs/<plugin>/<step>.log and
+  shows the last lines of failed steps in the report
+  (buildSettings.logTailLines, default 20)
 - Contains validation results, build logs, and summary statistics
 - Shows final summary with success/failure counts
 
 The script will:
 - Read plugin configuration from 'plugin-list.json' file
-- Validate all plugin names start with 'user-registration-' prefix
+- Find plugin folders by name ("discovery.patterns", default
+  user-registration-*) or by their Plugin Name header ("discovery.mode":
+  "header"), listing each plugin's name, version and text domain
 - Build only compatible plugins listed in the 'plugins' array
 - Support skipping individual build steps via configuration
+- Support per-plugin build step overrides ("pluginOverrides")
 - Generate detailed result reports for analysis
 
-If plugin-list.json doesn't exist, an example file will be created.
+If plugin-list.json doesn't exist, an example file will be created (not for
+a file given with --config).
 
 Make sure you have composer, npm, and grunt-cli installed globally.
+
+Examples:
+  node plugin-builder.js --plugins user-registration-stripe --force
+  node plugin-builder.js --dry-run
+  node plugin-builder.js verify build-output
+  node plugin-builder.js validate-config release.json
+  node plugin-builder.js --profile assets --plugins user-registration-pro
+  node plugin-builder.js --plugins user-registration-pro --ref v4.2.0
+  node plugin-builder.js --only-steps gruntCss,gruntJs --output /tmp/assets
+  node plugin-builder.js --config release.json --plugins-path ../wp-content/plugins
 `);
   process.exit(0);
 }
 
-if (args.includes("--version") || args.includes("-v")) {
+if (options.version) {
   console.log("1.0.0");
   process.exit(0);
 }
 
+// verify [dir]: the directory defaults to --output, then the configured
+// output directory
+if (cliArgs.positionals[0] === "verify") {
+  let verifyDir = cliArgs.positionals[1] || options.output;
+  if (!verifyDir) {
+    try {
+      const config = JSON.parse(
+        fs.readFileSync(options.config || CONFIG.pluginListFile, "utf8")
+      );
+      verifyDir = config.buildSettings?.outputDirectory;
+    } catch (error) {
+      // No readable config, use the default output directory
+    }
+  }
+  process.exit(verifyChecksums(verifyDir || CONFIG.outputDir) ? 0 : 1);
+}
+
+// validate-config [file]: the file defaults to --config, then
+// plugin-list.json. Nothing is built and no example file is created.
+if (cliArgs.positionals[0] === "validate-config") {
+  CONFIG.pluginListFile =
+    cliArgs.positionals[1] || options.config || CONFIG.pluginListFile;
+  if (!loadPluginList(options.profile, false)) process.exit(1);
+  colorLog(`✅ ${CONFIG.pluginListFile} is valid`, "green");
+  process.exit(0);
+}
+
 // Run the main function
-main();
+main(options);